@@ -0,0 +1,3339 @@
+import { randomUUID } from 'crypto';
+import { EventEmitter } from 'events';
+import { watch } from 'fs';
+import nodeFs from 'fs/promises';
+import path from 'path';
+import { setTimeout as sleep } from 'timers/promises';
+
+const CONFIG_FILE_NAME = '.bureau.json';
+const DEFAULT_CONFIG = {
+  tasksDir: '_tasks',
+  reportExtension: '.md',
+  numberWidth: 3,
+  listHead: 20,
+  listTail: 30,
+  projects: {},
+  searchIndex: false,
+  templatesDir: '.bureau/templates',
+  watch: false,
+  watchInterval: 2000,
+  currentTracking: 'auto',
+  timeZone: null,
+  dayStartHour: 0
+};
+const SLUG_MAX_LENGTH = 60;
+const TASK_META_FILE = 'task.json';
+const ARCHIVE_DIR_NAME = '_archive';
+const TASK_STATUSES = ['active', 'blocked', 'done', 'abandoned'];
+const DEFAULT_TASK_META = {
+  title: null,
+  status: 'active',
+  tags: [],
+  created: null,
+  updated: null,
+  parent: null,
+  summary: null
+};
+const TASK_SORT_ORDERS = ['newest', 'oldest', 'updated'];
+const RENUMBER_MODES = ['compact', 'normalize', 'move', 'insert'];
+const LIST_TASKS_LIMIT = 50;
+const SEARCH_MAX_RESULTS = 50;
+const SEARCH_CONTEXT_LINES = 1;
+const SEARCH_MAX_LINE_LENGTH = 300;
+const DIGEST_LINES = 10;
+const DIGEST_MAX_BYTES = 20000;
+const LOCK_NAME = '.bureau.lock';
+const STATE_DIR_NAME = '.bureau';
+const CURRENT_LINK_NAME = 'current';
+const CURRENT_FILE_NAME = '.current';
+const CURRENT_TRACKING_MODES = ['auto', 'symlink', 'file'];
+const INDEX_FILE_NAME = 'index.json';
+const SESSIONS_DIR_NAME = 'sessions';
+const CLAIMS_DIR_NAME = 'claims';
+const CLAIM_LEASE_MINUTES = 30;
+const CLAIM_MAX_LEASE_MINUTES = 24 * 60;
+const SESSION_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,99}$/;
+const INDEX_VERSION = 1;
+const TEMPLATE_META_FILE = 'template.json';
+const CURRENT_TASK_URI = 'bureau://current';
+const WATCH_MODES = [false, true, 'poll'];
+const WATCH_DEBOUNCE_MS = 100;
+const LOCK_STALE_MS = 10000;
+const LOCK_TIMEOUT_MS = 5000;
+
+// Utility: Create an error whose details are included in the tool's error response
+function toolError(message, details) {
+  return Object.assign(new Error(message), { details });
+}
+
+// Utility: Write a file via rename, so readers never see it half-written. The temp name is unique
+// per call, so concurrent writes in one process don't rename each other's temp files away.
+async function writeFileAtomic(fs, target, data) {
+  const tempPath = `${target}.${process.pid}.${randomUUID()}.tmp`;
+  try {
+    await fs.writeFile(tempPath, data);
+    await fs.rename(tempPath, target);
+  } catch (error) {
+    await fs.rm(tempPath, { force: true }).catch(() => {});
+    throw error;
+  }
+}
+
+// Utility: Check whether a path exists
+async function pathExists(filePath, fs = nodeFs) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Utility: Walk up from startDir to the nearest directory with a config file or a git root
+async function findProjectRoot(startDir, fs = nodeFs) {
+  for (let dir = path.resolve(startDir); ; dir = path.dirname(dir)) {
+    if (await pathExists(path.join(dir, CONFIG_FILE_NAME), fs) || await pathExists(path.join(dir, '.git'), fs)) {
+      return dir;
+    }
+    if (path.dirname(dir) === dir) {
+      return null;
+    }
+  }
+}
+
+// Utility: Load and validate the project config file, merged over defaults
+async function loadConfig(rootDir, fs = nodeFs) {
+  const configPath = path.join(rootDir, CONFIG_FILE_NAME);
+  let raw;
+  try {
+    raw = await fs.readFile(configPath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return { ...DEFAULT_CONFIG };
+    throw error;
+  }
+
+  let fileConfig;
+  try {
+    fileConfig = JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`Invalid ${configPath}: ${error.message}`);
+  }
+
+  const config = { ...DEFAULT_CONFIG, ...fileConfig };
+  const invalid = message => new Error(`Invalid ${configPath}: ${message}`);
+  if (typeof config.tasksDir !== 'string' || !config.tasksDir) {
+    throw invalid('tasksDir must be a non-empty string');
+  }
+  if (typeof config.reportExtension !== 'string' || !/^\.[\w.-]+$/.test(config.reportExtension)) {
+    throw invalid('reportExtension must look like ".md"');
+  }
+  if (!Number.isInteger(config.numberWidth) || config.numberWidth < 1 || config.numberWidth > 10) {
+    throw invalid('numberWidth must be an integer from 1 to 10');
+  }
+  for (const key of ['listHead', 'listTail']) {
+    if (!Number.isInteger(config[key]) || config[key] < 0) {
+      throw invalid(`${key} must be a non-negative integer`);
+    }
+  }
+  if (typeof config.templatesDir !== 'string' || !config.templatesDir) {
+    throw invalid('templatesDir must be a non-empty string');
+  }
+  if (config.timeZone !== null) {
+    try {
+      if (typeof config.timeZone !== 'string') throw new TypeError();
+      new Intl.DateTimeFormat('en-US', { timeZone: config.timeZone });
+    } catch (error) {
+      throw invalid('timeZone must be an IANA time zone name like "America/Los_Angeles", or null for the local time zone');
+    }
+  }
+  if (!Number.isInteger(config.dayStartHour) || config.dayStartHour < 0 || config.dayStartHour > 23) {
+    throw invalid('dayStartHour must be an integer from 0 to 23');
+  }
+  if (!CURRENT_TRACKING_MODES.includes(config.currentTracking)) {
+    throw invalid(`currentTracking must be one of ${CURRENT_TRACKING_MODES.join(', ')}`);
+  }
+  if (!WATCH_MODES.includes(config.watch)) {
+    throw invalid('watch must be true, false or "poll"');
+  }
+  if (!Number.isInteger(config.watchInterval) || config.watchInterval < 100) {
+    throw invalid('watchInterval must be an integer of at least 100 (milliseconds)');
+  }
+  if (typeof config.searchIndex !== 'boolean') {
+    throw invalid('searchIndex must be true or false');
+  }
+  if (typeof config.projects !== 'object' || config.projects === null || Array.isArray(config.projects) ||
+      !Object.values(config.projects).every(value => typeof value === 'string')) {
+    throw invalid('projects must map project names to root paths');
+  }
+  return config;
+}
+
+// Utility: Build the project state all other utilities work against. The filesystem (fs/promises
+// or anything with the same API, like memfs), the clock and the working directory are replaceable
+function createProject(rootDir, config, {
+  tasksDir = path.resolve(rootDir, config.tasksDir),
+  name = path.basename(rootDir),
+  fs = nodeFs,
+  clock = () => new Date(),
+  cwd = process.cwd()
+} = {}) {
+  const extension = config.reportExtension.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return {
+    name,
+    rootDir,
+    tasksDir,
+    currentLink: path.join(tasksDir, CURRENT_LINK_NAME),
+    currentFile: path.join(tasksDir, CURRENT_FILE_NAME),
+    sessionsDir: path.join(tasksDir, STATE_DIR_NAME, SESSIONS_DIR_NAME),
+    claimsDir: path.join(tasksDir, STATE_DIR_NAME, CLAIMS_DIR_NAME),
+    templatesDir: path.resolve(rootDir, config.templatesDir),
+    config,
+    fs,
+    clock,
+    cwd, // Paths returned to agents are relative to this
+    reportFilePattern: new RegExp(`^\\d+-.*${extension}$`),
+    searchIndex: null, // In-memory copy of the on-disk search index, loaded lazily
+    indexSaving: Promise.resolve() // The last search index save; saves queue up behind it
+  };
+}
+
+
+// Utility: Path of something inside the tasks dir as shown to agents:
+// relative to cwd when inside it, absolute otherwise
+function displayPath(project, ...segments) {
+  const fullPath = path.join(project.tasksDir, ...segments);
+  const relativePath = path.relative(project.cwd, fullPath);
+  return relativePath.startsWith('..') || path.isAbsolute(relativePath) ? fullPath : relativePath;
+}
+
+// Utility: Get the task date (YYYY-MM-DD) of a moment: the calendar date in the project's time zone
+// (local by default), where hours before dayStartHour still belong to the previous day.
+// Works on wall-clock time, so DST changes do not move the rollover.
+function getTaskDate(project, date = project.clock()) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: project.config.timeZone ?? undefined,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(date).map(part => [part.type, part.value])
+  );
+  const dateStr = `${parts.year}-${parts.month}-${parts.day}`;
+  return Number(parts.hour) < project.config.dayStartHour ? addDays(dateStr, -1) : dateStr;
+}
+
+// Utility: Add days to a YYYY-MM-DD date
+function addDays(dateStr, days) {
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+}
+
+// Utility: Generate date suffix (YYYY-MM-DD, then YYYY-MM-DDb, ..., YYYY-MM-DDy, YYYY-MM-DDz026, ...)
+function getDateSuffix(index, dateStr) {
+  if (index === 0) return dateStr;
+  if (index <= 24) {
+    // index 1-24 -> 'b' through 'y' (tasks 2-25)
+    return dateStr + String.fromCharCode(97 + index);
+  }
+  // index 25+ -> 'z026', 'z027', etc. (task number = index + 1)
+  return dateStr + 'z' + String(index + 1).padStart(3, '0');
+}
+
+// Utility: Parse task directory name to extract date and slug
+function parseTaskDirName(dirName) {
+  // Pattern: YYYY-MM-DD[b-z|z\d{3}]-slug or YYYY-MM-DD-slug
+  const match = dirName.match(/^(\d{4}-\d{2}-\d{2}(?:[b-y]|z\d{3})?)-(.+)$/);
+  if (!match) return null;
+  return { datePrefix: match[1], slug: match[2] };
+}
+
+// Utility: Normalize arbitrary text to a lowercase kebab-case slug
+// ("Café/../Crème" -> "cafe-creme"); returns '' if nothing usable is left
+function normalizeSlug(text) {
+  return String(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '') // strip accents left over by decomposition
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+/, '')
+    .slice(0, SLUG_MAX_LENGTH)
+    .replace(/-+$/, '');
+}
+
+// Utility: Ensure a slug-like tool argument is already normalized, so it is safe to use in paths
+function validateSlug(value, argName) {
+  const normalized = normalizeSlug(value);
+  if (value === normalized) {
+    return value;
+  }
+  if (!normalized) {
+    throw new Error(`Invalid ${argName} "${value}": use lowercase latin letters, digits and dashes`);
+  }
+  throw new Error(`Invalid ${argName} "${value}": must be lowercase kebab-case of at most ${SLUG_MAX_LENGTH} characters, without dots or path separators; retry with "${normalized}"`);
+}
+
+// Utility: Get all task directories (or the archived ones, from the _archive subdirectory).
+// A missing tasks dir just means no tasks; it is only created when a task is started.
+async function getAllTaskDirs(project, { archived = false } = {}) {
+  try {
+    const dirPath = archived ? path.join(project.tasksDir, ARCHIVE_DIR_NAME) : project.tasksDir;
+    const entries = await project.fs.readdir(dirPath, { withFileTypes: true });
+    return entries
+      .filter(entry => entry.isDirectory() && parseTaskDirName(entry.name))
+      .map(entry => entry.name)
+      .sort();
+  } catch (error) {
+    return [];
+  }
+}
+
+// Utility: Get task directories from last 30 days
+async function getRecentTaskDirs(project) {
+  const allDirs = await getAllTaskDirs(project);
+  const cutoffStr = addDays(getTaskDate(project), -30);
+
+  return allDirs.filter(dirName => {
+    const parsed = parseTaskDirName(dirName);
+    if (!parsed) return false;
+    // Extract just the date part (YYYY-MM-DD), dropping b-y and z### suffixes
+    const dateOnly = parsed.datePrefix.slice(0, 10);
+    return dateOnly >= cutoffStr;
+  });
+}
+
+// Utility: Read both current task pointers: the current symlink and the .current state file.
+// The symlink may also be a plain file holding the target path, as git leaves it on checkouts
+// without symlink support. When the two disagree, the more recently written one wins.
+async function readCurrentPointers(project) {
+  const readPointer = async (filePath, isLink) => {
+    try {
+      const stat = await project.fs.lstat(filePath);
+      const target = isLink && stat.isSymbolicLink()
+        ? await project.fs.readlink(filePath)
+        : (await project.fs.readFile(filePath, 'utf8')).trim();
+      // target might be relative or absolute, normalize it
+      return target ? { taskDir: path.basename(target), mtime: stat.mtimeMs } : null;
+    } catch (error) {
+      return null;
+    }
+  };
+
+  const link = await readPointer(project.currentLink, true);
+  const file = await readPointer(project.currentFile, false);
+  const winner = link && file ? (file.mtime > link.mtime ? file : link) : link || file;
+  return {
+    symlink: link && link.taskDir,
+    stateFile: file && file.taskDir,
+    current: winner ? winner.taskDir : null,
+    consistent: !link || !file || link.taskDir === file.taskDir
+  };
+}
+
+// Utility: Get the current task directory name, or null. A session that has switched tasks has its own
+// current task; other sessions (and calls without one) follow the global pointers.
+async function getCurrentTaskDir(project, session) {
+  const pointer = session ? await readSessionPointer(project, session) : null;
+  return pointer ? pointer.taskDir : (await readCurrentPointers(project)).current;
+}
+
+// Utility: Check a session id, which names a file in the sessions dir
+function validateSessionId(session) {
+  if (typeof session !== 'string' || !SESSION_ID_PATTERN.test(session)) {
+    throw new Error(`Invalid session_id "${session}": use up to 100 latin letters, digits, dots, dashes and underscores, starting with a letter or digit`);
+  }
+  return session;
+}
+
+// Utility: Read a session's own current task pointer: { taskDir, updated }, where taskDir is null if its
+// task went away; null if the session has never switched tasks
+async function readSessionPointer(project, session) {
+  let data;
+  try {
+    data = JSON.parse(await project.fs.readFile(path.join(project.sessionsDir, `${session}.json`), 'utf8'));
+  } catch (error) {
+    return null;
+  }
+  return { taskDir: data.task_dir ?? null, updated: data.updated ?? null };
+}
+
+// Utility: Point a session at a task (null for none), via rename like the .current state file
+async function writeSessionPointer(project, session, taskDir) {
+  await project.fs.mkdir(project.sessionsDir, { recursive: true });
+  const pointerPath = path.join(project.sessionsDir, `${session}.json`);
+  await writeFileAtomic(project.fs, pointerPath, JSON.stringify({ task_dir: taskDir, updated: project.clock().toISOString() }));
+}
+
+// Utility: List the sessions that have their own current task, most recently switched first
+async function listSessions(project) {
+  let fileNames;
+  try {
+    fileNames = await project.fs.readdir(project.sessionsDir);
+  } catch (error) {
+    return [];
+  }
+
+  const sessions = [];
+  for (const fileName of fileNames.filter(name => name.endsWith('.json'))) {
+    const session = fileName.slice(0, -'.json'.length);
+    const pointer = await readSessionPointer(project, session);
+    if (pointer) {
+      sessions.push({ session_id: session, task_dir: pointer.taskDir, updated: pointer.updated });
+    }
+  }
+  return sessions.sort((a, b) => (b.updated ?? '').localeCompare(a.updated ?? ''));
+}
+
+// Utility: Forget a session's current task, so it follows the global pointers again
+async function removeSession(project, session) {
+  await project.fs.rm(path.join(project.sessionsDir, `${session}.json`), { force: true });
+}
+
+// Utility: Repoint the sessions on a task that was renamed (or, with null, archived or deleted)
+async function retargetSessions(project, taskDir, newTaskDir) {
+  for (const { session_id, task_dir } of await listSessions(project)) {
+    if (task_dir === taskDir) {
+      await writeSessionPointer(project, session_id, newTaskDir);
+    }
+  }
+}
+
+// Utility: Get all report files in a task directory
+async function listReportFiles(project, taskDir) {
+  const taskPath = path.join(project.tasksDir, taskDir);
+  try {
+    const entries = await project.fs.readdir(taskPath);
+    // Filter for numbered markdown files (e.g., 001-*.md, 11-*.md, 042-*.md)
+    return entries
+      .filter(name => project.reportFilePattern.test(name))
+      .sort();
+  } catch (error) {
+    return [];
+  }
+}
+
+// Utility: Split report files into the listed ones (all if <50, or earliest 20 + latest 30)
+// and the skipped middle
+function windowReportFiles(project, reportFiles) {
+  if (reportFiles.length <= project.config.listHead + project.config.listTail) {
+    return { shown: reportFiles, skipped: [] };
+  }
+  return {
+    shown: [
+      ...reportFiles.slice(0, project.config.listHead),
+      ...reportFiles.slice(-project.config.listTail)
+    ],
+    skipped: reportFiles.slice(project.config.listHead, -project.config.listTail)
+  };
+}
+
+// Utility: Get report files in a task directory
+async function getReportFiles(project, taskDir) {
+  return windowReportFiles(project, await listReportFiles(project, taskDir)).shown;
+}
+
+// Utility: Read task metadata; tasks without a metadata file get the defaults
+async function readTaskMeta(project, taskDir) {
+  const metaPath = path.join(project.tasksDir, taskDir, TASK_META_FILE);
+  let raw;
+  try {
+    raw = await project.fs.readFile(metaPath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return { ...DEFAULT_TASK_META };
+    throw error;
+  }
+
+  try {
+    return { ...DEFAULT_TASK_META, ...JSON.parse(raw) };
+  } catch (error) {
+    throw new Error(`Invalid task metadata in ${displayPath(project, taskDir, TASK_META_FILE)}: ${error.message}`);
+  }
+}
+
+// Utility: Merge changes into task metadata, maintaining timestamps. With checkClaim, fails under
+// the lock if another session claimed the task.
+async function updateTaskMeta(project, taskDir, changes, { checkClaim = false, session } = {}) {
+  return withTaskLock(project, taskDir, async () => {
+    if (checkClaim) {
+      await ensureTaskWritable(project, taskDir, session);
+    }
+    const now = project.clock().toISOString();
+    const meta = { ...(await readTaskMeta(project, taskDir)), ...changes, updated: now };
+    meta.created = meta.created || now;
+
+    const metaPath = path.join(project.tasksDir, taskDir, TASK_META_FILE);
+    await writeFileAtomic(project.fs, metaPath, JSON.stringify(meta, null, 2) + '\n');
+    return meta;
+  });
+}
+
+// Utility: Validate metadata fields given to a tool, returning only the ones present
+function validateTaskMetaChanges({ title, tags, summary, status }) {
+  const changes = {};
+  if (title !== undefined) {
+    if (title !== null && typeof title !== 'string') throw new Error('title must be a string');
+    changes.title = title;
+  }
+  if (summary !== undefined) {
+    if (summary !== null && typeof summary !== 'string') throw new Error('summary must be a string');
+    changes.summary = summary;
+  }
+  if (tags !== undefined) {
+    if (!Array.isArray(tags)) throw new Error('tags must be an array of strings');
+    changes.tags = tags.map(tag => validateSlug(tag, 'tag'));
+  }
+  if (status !== undefined) {
+    if (!TASK_STATUSES.includes(status)) {
+      throw new Error(`Invalid status "${status}": must be one of ${TASK_STATUSES.join(', ')}`);
+    }
+    changes.status = status;
+  }
+  return changes;
+}
+
+// Utility: Describe a task for listings: metadata plus report count and last modification time
+// (report mtimes come from the search index when one is given, saving a stat per report)
+async function describeTask(project, taskDir, currentTaskDir, index = null) {
+  const parsed = parseTaskDirName(path.basename(taskDir));
+  const taskPath = path.join(project.tasksDir, taskDir);
+  const reportFiles = await listReportFiles(project, taskDir);
+  const meta = await readTaskMeta(project, taskDir);
+
+  let lastModified = 0;
+  for (const name of ['.', TASK_META_FILE, ...reportFiles]) {
+    const entry = index && index.reports.get(`${taskDir}/${name}`);
+    if (entry) {
+      lastModified = Math.max(lastModified, entry.mtime);
+      continue;
+    }
+    try {
+      lastModified = Math.max(lastModified, (await project.fs.stat(path.join(taskPath, name))).mtimeMs);
+    } catch (error) {
+      // Removed meanwhile, or no metadata file
+    }
+  }
+
+  return {
+    task_dir: taskDir,
+    task_slug: parsed.slug,
+    date: parsed.datePrefix.slice(0, 10),
+    title: meta.title,
+    status: meta.status,
+    tags: meta.tags,
+    created: meta.created,
+    updated: meta.updated,
+    parent: meta.parent,
+    summary: meta.summary,
+    report_count: reportFiles.length,
+    last_modified: new Date(lastModified).toISOString(),
+    is_current: taskDir === currentTaskDir,
+    archived: taskDir.startsWith(`${ARCHIVE_DIR_NAME}/`)
+  };
+}
+
+// Utility: List tasks matching the filters, one page at a time. The cursor is the
+// task_dir of the last task on the previous page. Archived tasks are listed as _archive/<dir>.
+async function listTasks(project, {
+  since, until, status, tags, sort = 'newest', limit = LIST_TASKS_LIMIT, cursor, includeArchived = false, session
+} = {}) {
+  for (const [name, value] of [['since', since], ['until', until]]) {
+    if (value !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      throw new Error(`Invalid ${name} "${value}": expected YYYY-MM-DD`);
+    }
+  }
+  if (!TASK_SORT_ORDERS.includes(sort)) {
+    throw new Error(`Invalid sort "${sort}": must be one of ${TASK_SORT_ORDERS.join(', ')}`);
+  }
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new Error('limit must be a positive integer');
+  }
+  const statuses = status === undefined ? null : [].concat(status);
+  const requiredTags = tags === undefined ? [] : [].concat(tags);
+
+  const currentTaskDir = await getCurrentTaskDir(project, session);
+  const index = project.config.searchIndex ? await refreshSearchIndex(project) : null;
+  let taskDirs = await getAllTaskDirs(project);
+  if (includeArchived) {
+    const archivedDirs = await getAllTaskDirs(project, { archived: true });
+    taskDirs = [...taskDirs, ...archivedDirs.map(dirName => `${ARCHIVE_DIR_NAME}/${dirName}`)]
+      .sort((a, b) => path.basename(a).localeCompare(path.basename(b)));
+  }
+  taskDirs = taskDirs.filter(dirName => {
+    const date = parseTaskDirName(path.basename(dirName)).datePrefix.slice(0, 10);
+    return (!since || date >= since) && (!until || date <= until);
+  });
+
+  let tasks = [];
+  for (const taskDir of taskDirs) {
+    const task = await describeTask(project, taskDir, currentTaskDir, index);
+    if (statuses && !statuses.includes(task.status)) continue;
+    if (!requiredTags.every(tag => task.tags.includes(tag))) continue;
+    tasks.push(task);
+  }
+
+  if (sort === 'newest') {
+    tasks.reverse();
+  } else if (sort === 'updated') {
+    tasks.sort((a, b) => b.last_modified.localeCompare(a.last_modified) || path.basename(b.task_dir).localeCompare(path.basename(a.task_dir)));
+  }
+
+  let start = 0;
+  if (cursor) {
+    const index = tasks.findIndex(task => task.task_dir === cursor);
+    if (index < 0) {
+      throw new Error(`Invalid cursor "${cursor}": start over without a cursor`);
+    }
+    start = index + 1;
+  }
+
+  const page = tasks.slice(start, start + limit);
+  const hasMore = start + limit < tasks.length;
+  return {
+    tasks: page,
+    total: tasks.length,
+    next_cursor: hasMore ? page[page.length - 1].task_dir : null
+  };
+}
+
+// Utility: Get task info
+async function getTaskInfo(project, taskDir) {
+  if (!taskDir) {
+    return null;
+  }
+
+  const parsed = parseTaskDirName(taskDir);
+  if (!parsed) {
+    return null;
+  }
+
+  const reportFiles = await getReportFiles(project, taskDir);
+  const meta = await readTaskMeta(project, taskDir);
+  const claim = await readTaskClaim(project, taskDir);
+  return {
+    task_slug: parsed.slug,
+    reports_dir: displayPath(project, taskDir),
+    report_file_names: reportFiles,
+    ...meta,
+    ...(claim && { claimed_by: claim.owner, claimed_until: claim.expires })
+  };
+}
+
+// Utility: Get the parent chain (nearest parent first) and the direct subtasks of a task.
+// The chain stops at a parent that was archived or deleted.
+async function getTaskHierarchy(project, taskDir) {
+  const brief = (dirName, meta) => ({ task_dir: dirName, title: meta.title, status: meta.status });
+
+  const parentChain = [];
+  const seen = new Set([taskDir]);
+  let parent = (await readTaskMeta(project, taskDir)).parent;
+  while (parent && !seen.has(parent) && await pathExists(path.join(project.tasksDir, parent), project.fs)) {
+    seen.add(parent);
+    const meta = await readTaskMeta(project, parent);
+    parentChain.push(brief(parent, meta));
+    parent = meta.parent;
+  }
+
+  const subtasks = [];
+  for (const dirName of await getAllTaskDirs(project)) {
+    const meta = await readTaskMeta(project, dirName);
+    if (meta.parent === taskDir) {
+      subtasks.push(brief(dirName, meta));
+    }
+  }
+  return { parent_chain: parentChain, subtasks };
+}
+
+// Utility: Finish a subtask: set its status, optionally file a summary report into the parent,
+// and return to the parent if the subtask was the current task (of the session, if given)
+async function finishSubtask(project, taskDir, { status = 'done', summary, session } = {}) {
+  const { parent } = await readTaskMeta(project, taskDir);
+  if (!parent) {
+    throw new Error(`Task ${taskDir} is not a subtask`);
+  }
+  if (!(await pathExists(path.join(project.tasksDir, parent), project.fs))) {
+    throw new Error(`Parent task ${parent} no longer exists; it may have been archived or deleted`);
+  }
+
+  await updateTaskMeta(project, taskDir, { status }, { checkClaim: true, session });
+
+  let summaryFile = null;
+  if (summary !== undefined) {
+    summaryFile = await reserveReportFile(project, parent, normalizeSlug(`${parseTaskDirName(taskDir).slug}-summary`), {
+      session,
+      content: summary
+    });
+  }
+
+  const wasCurrent = (await getCurrentTaskDir(project, session)) === taskDir;
+  if (wasCurrent) {
+    await updateCurrentPointer(project, parent, session);
+  }
+  return { parentDir: parent, summaryFile, wasCurrent };
+}
+
+// Utility: Find next available task directory name
+async function findNextTaskDirName(project, slug) {
+  const allDirs = await getAllTaskDirs(project);
+  const today = getTaskDate(project);
+
+  // Try without suffix first, then b, c, d, ..., z, z026, z027, ..., z999
+  for (let i = 0; i < 1000; i++) {
+    const datePrefix = getDateSuffix(i, today);
+    const candidateName = `${datePrefix}-${slug}`;
+    if (!allDirs.includes(candidateName)) {
+      return candidateName;
+    }
+  }
+
+  throw new Error('Too many tasks for today (max 1000)');
+}
+
+// Utility: Point the current task pointers at a task. Depending on the currentTracking setting, writes
+// the current symlink ('symlink'), the .current state file ('file'), or both ('auto', where the
+// symlink is skipped on filesystems that do not support it); the unused pointer is removed.
+// With a session, also points the session at it; the global pointers follow for people.
+async function updateCurrentPointer(project, taskDir, session) {
+  const mode = project.config.currentTracking;
+  if (session) {
+    await writeSessionPointer(project, session, taskDir);
+  }
+
+  // Remove existing symlink (or the plain file a checkout left in its place) if it exists
+  try {
+    await project.fs.unlink(project.currentLink);
+  } catch (error) {
+    // Ignore if doesn't exist
+  }
+  if (mode !== 'file') {
+    try {
+      // Create new symlink (use relative path)
+      await project.fs.symlink(taskDir, project.currentLink);
+    } catch (error) {
+      if (mode === 'symlink') throw error;
+    }
+  }
+
+  if (mode === 'symlink') {
+    await project.fs.rm(project.currentFile, { force: true });
+  } else {
+    await writeFileAtomic(project.fs, project.currentFile, `${taskDir}\n`);
+  }
+}
+
+// Utility: Remove the current task pointers, leaving no current task
+async function clearCurrentPointer(project) {
+  for (const pointerPath of [project.currentLink, project.currentFile]) {
+    try {
+      await project.fs.unlink(pointerPath);
+    } catch (error) {
+      // Ignore if doesn't exist
+    }
+  }
+}
+
+// Utility: Fail if a task directory already exists at the given path
+async function ensureTaskDirFree(project, relativePath) {
+  if (await pathExists(path.join(project.tasksDir, relativePath), project.fs)) {
+    throw new Error(`Task directory already exists: ${displayPath(project, relativePath)}`);
+  }
+}
+
+// Utility: Rename a task to a new slug, keeping its date prefix, the current symlink, the sessions on it,
+// its claim and parent references of other tasks. Fails if another session claimed the task.
+async function renameTask(project, taskDir, newSlug, { session } = {}) {
+  const newTaskDir = `${parseTaskDirName(taskDir).datePrefix}-${newSlug}`;
+  if (newTaskDir === taskDir) {
+    return newTaskDir;
+  }
+  await ensureTaskDirFree(project, newTaskDir);
+
+  const wasCurrent = (await getCurrentTaskDir(project)) === taskDir;
+  await withTaskLock(project, taskDir, async () => {
+    await ensureTaskWritable(project, taskDir, session);
+    await project.fs.rename(path.join(project.tasksDir, taskDir), path.join(project.tasksDir, newTaskDir));
+    try {
+      await project.fs.rename(path.join(project.claimsDir, `${taskDir}.json`), path.join(project.claimsDir, `${newTaskDir}.json`));
+    } catch (error) {
+      // Not claimed
+    }
+    await releaseMovedTaskLock(project, newTaskDir);
+  });
+  if (wasCurrent) {
+    await updateCurrentPointer(project, newTaskDir);
+  }
+  await retargetSessions(project, taskDir, newTaskDir);
+
+  for (const otherDir of await getAllTaskDirs(project)) {
+    if ((await readTaskMeta(project, otherDir)).parent === taskDir) {
+      await updateTaskMeta(project, otherDir, { parent: newTaskDir });
+    }
+  }
+  return newTaskDir;
+}
+
+// Utility: Move a task into the _archive subdirectory, or back out of it. Archiving fails if another
+// session claimed the task, clears the current task pointers and sessions on it and drops its claim;
+// wasCurrent tells whether it was current (for the session, if given).
+async function archiveTask(project, taskDir, { restore = false, session } = {}) {
+  const archivedPath = path.join(ARCHIVE_DIR_NAME, taskDir);
+  const [from, to] = restore ? [archivedPath, taskDir] : [taskDir, archivedPath];
+  await ensureTaskDirFree(project, to);
+
+  const wasCurrent = !restore && (await getCurrentTaskDir(project, session)) === taskDir;
+  const wasGlobalCurrent = !restore && (await getCurrentTaskDir(project)) === taskDir;
+  await project.fs.mkdir(path.join(project.tasksDir, ARCHIVE_DIR_NAME), { recursive: true });
+  await withTaskLock(project, from, async () => {
+    if (!restore) {
+      await ensureTaskWritable(project, taskDir, session);
+    }
+    await project.fs.rename(path.join(project.tasksDir, from), path.join(project.tasksDir, to));
+    if (!restore) {
+      await project.fs.rm(path.join(project.claimsDir, `${taskDir}.json`), { force: true });
+    }
+    await releaseMovedTaskLock(project, to);
+  });
+  if (wasGlobalCurrent) {
+    await clearCurrentPointer(project);
+  }
+  if (!restore) {
+    await retargetSessions(project, taskDir, null);
+  }
+  return { taskPath: to, wasCurrent };
+}
+
+// Utility: Delete a task; only empty ones (nothing but metadata) unless forced. Like archiving,
+// fails if another session claimed the task, clears the current task pointers and sessions on it
+// and drops its claim.
+async function deleteTask(project, taskDir, { force = false, session } = {}) {
+  const taskPath = path.join(project.tasksDir, taskDir);
+  const wasCurrent = (await getCurrentTaskDir(project, session)) === taskDir;
+  const wasGlobalCurrent = (await getCurrentTaskDir(project)) === taskDir;
+
+  // Removing the task removes the lock along with it
+  const contents = await withTaskLock(project, taskDir, async () => {
+    await ensureTaskWritable(project, taskDir, session);
+    const contents = (await project.fs.readdir(taskPath)).filter(name => name !== TASK_META_FILE && name !== LOCK_NAME);
+    if (contents.length > 0 && !force) {
+      throw toolError(`Task ${taskDir} is not empty; pass force: true to delete it with all its files`, { files: contents.sort() });
+    }
+    await project.fs.rm(taskPath, { recursive: true, force: true });
+    await project.fs.rm(path.join(project.claimsDir, `${taskDir}.json`), { force: true });
+    return contents;
+  });
+  if (wasGlobalCurrent) {
+    await clearCurrentPointer(project);
+  }
+  await retargetSessions(project, taskDir, null);
+  return { wasCurrent, deletedFiles: contents.length };
+}
+
+// Utility: Find next report file number
+async function findNextReportNumber(project, taskDir) {
+  const reportFiles = await listReportFiles(project, taskDir);
+  if (reportFiles.length === 0) {
+    return 1;
+  }
+
+  // Extract numbers from all report files
+  const numbers = reportFiles.map(name => {
+    const match = name.match(/^(\d+)-/);
+    return match ? parseInt(match[1], 10) : 0;
+  });
+
+  const maxNumber = Math.max(...numbers);
+  return maxNumber + 1;
+}
+
+// Utility: Run fn while holding an exclusive lock on a task directory.
+// The lock is a directory because mkdir is atomic, even across server processes.
+async function withTaskLock(project, taskDir, fn, { staleMs = LOCK_STALE_MS, timeoutMs = LOCK_TIMEOUT_MS } = {}) {
+  const lockPath = path.join(project.tasksDir, taskDir, LOCK_NAME);
+  const deadline = Date.now() + timeoutMs;
+
+  while (true) {
+    try {
+      await project.fs.mkdir(lockPath);
+      break;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+
+    // Break locks left behind by a crashed process
+    try {
+      const stat = await project.fs.stat(lockPath);
+      if (Date.now() - stat.mtimeMs > staleMs) {
+        await project.fs.rmdir(lockPath);
+        continue;
+      }
+    } catch (error) {
+      continue; // Released while we were looking, try again
+    }
+
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out waiting for lock on task ${taskDir}`);
+    }
+    await sleep(5 + Math.random() * 20);
+  }
+
+  try {
+    return await fn();
+  } finally {
+    await project.fs.rmdir(lockPath).catch(() => {});
+  }
+}
+
+// Utility: Release the lock of a task that was moved while holding it; the lock directory
+// moved along with the task
+async function releaseMovedTaskLock(project, taskPath) {
+  await project.fs.rmdir(path.join(project.tasksDir, taskPath, LOCK_NAME));
+}
+
+// Utility: Read the live claim on a task: { owner, claimed, expires }; null if the task is
+// unclaimed or the lease ran out
+async function readTaskClaim(project, taskDir) {
+  let claim;
+  try {
+    claim = JSON.parse(await project.fs.readFile(path.join(project.claimsDir, `${taskDir}.json`), 'utf8'));
+  } catch (error) {
+    return null;
+  }
+  return Date.parse(claim.expires) > project.clock().getTime() ? claim : null;
+}
+
+// Utility: The error for writing to a task that another session claimed
+function taskClaimedError(taskDir, claim) {
+  return toolError(
+    `Task ${taskDir} is claimed by ${claim.owner} until ${claim.expires}; you can still read it, or wait for release_task or the lease to run out`,
+    { claimed_by: claim.owner, claimed_until: claim.expires }
+  );
+}
+
+// Utility: Fail if a task is claimed by anyone but the given session
+async function ensureTaskWritable(project, taskDir, session) {
+  const claim = await readTaskClaim(project, taskDir);
+  if (claim && claim.owner !== session) {
+    throw taskClaimedError(taskDir, claim);
+  }
+}
+
+// Utility: Claim a task for a session for a number of minutes, or renew the session's own claim.
+// Claims are files in the claims dir, so they hold across server processes and outlive crashes
+// until the lease runs out.
+async function claimTask(project, taskDir, session, { leaseMinutes = CLAIM_LEASE_MINUTES } = {}) {
+  if (!session) {
+    throw new Error('Claiming a task needs a session: pass session_id, or start the server with --session');
+  }
+  if (!Number.isFinite(leaseMinutes) || leaseMinutes <= 0 || leaseMinutes > CLAIM_MAX_LEASE_MINUTES) {
+    throw new Error(`lease_minutes must be a positive number of at most ${CLAIM_MAX_LEASE_MINUTES}`);
+  }
+
+  return withTaskLock(project, taskDir, async () => {
+    const claim = await readTaskClaim(project, taskDir);
+    if (claim && claim.owner !== session) {
+      throw taskClaimedError(taskDir, claim);
+    }
+
+    const now = project.clock();
+    const newClaim = {
+      owner: session,
+      claimed: claim ? claim.claimed : now.toISOString(),
+      expires: new Date(now.getTime() + leaseMinutes * 60000).toISOString()
+    };
+    await project.fs.mkdir(project.claimsDir, { recursive: true });
+    const claimPath = path.join(project.claimsDir, `${taskDir}.json`);
+    await writeFileAtomic(project.fs, claimPath, JSON.stringify(newClaim));
+    return newClaim;
+  });
+}
+
+// Utility: Release a claim. Only its holder can, unless forced; returns the claim released, or null
+// if there was none
+async function releaseTask(project, taskDir, session, { force = false } = {}) {
+  return withTaskLock(project, taskDir, async () => {
+    const claim = await readTaskClaim(project, taskDir);
+    if (claim && claim.owner !== session && !force) {
+      throw toolError(`Task ${taskDir} is claimed by ${claim.owner} until ${claim.expires}; pass force: true to release it anyway`, {
+        claimed_by: claim.owner,
+        claimed_until: claim.expires
+      });
+    }
+    await project.fs.rm(path.join(project.claimsDir, `${taskDir}.json`), { force: true });
+    return claim;
+  });
+}
+
+// Utility: Reserve the next report number by creating the file exclusively, with the given content
+// or just a heading. The claim check happens under the lock, so a claim can't slip in between.
+async function reserveReportFile(project, taskDir, suffix, { session, content = `# ${suffix}\n` } = {}) {
+  return withTaskLock(project, taskDir, async () => {
+    await ensureTaskWritable(project, taskDir, session);
+    let nextNumber = await findNextReportNumber(project, taskDir);
+
+    // The lock keeps Bureau callers apart; 'wx' also guards against files
+    // written behind our back, in which case we move on to the next number.
+    while (true) {
+      const fileName = `${String(nextNumber).padStart(project.config.numberWidth, '0')}-${suffix}${project.config.reportExtension}`;
+      try {
+        await project.fs.writeFile(path.join(project.tasksDir, taskDir, fileName), content, { flag: 'wx' });
+        await indexReport(project, taskDir, fileName);
+        return fileName;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+        nextNumber++;
+      }
+    }
+  });
+}
+
+// Utility: Resolve a report reference (bare file name or path returned by a tool)
+// to a file name inside the given task, refusing anything outside of it
+function resolveReportFileName(project, taskDir, file) {
+  const taskPath = path.join(project.tasksDir, taskDir);
+  const resolved = /[\\/]/.test(file) ? path.resolve(project.cwd, file) : path.join(taskPath, file);
+  const fileName = path.basename(resolved);
+
+  if (path.dirname(resolved) !== taskPath) {
+    throw new Error(`Report must be in the task directory ${displayPath(project, taskDir)}: ${file}`);
+  }
+  if (!project.reportFilePattern.test(fileName)) {
+    throw new Error(`Not a report file name (expected NNN-suffix${project.config.reportExtension}): ${file}`);
+  }
+  return fileName;
+}
+
+// Utility: Replace whole-name mentions of renamed report files in text;
+// returns the new text and the number of replacements
+function replaceReportLinks(text, renameMap) {
+  if (renameMap.size === 0) {
+    return { text, count: 0 };
+  }
+  const names = [...renameMap.keys()]
+    .sort((a, b) => b.length - a.length)
+    .map(name => name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  // Not preceded by a word character or dash, so "1-a.md" does not match inside "11-a.md"
+  const pattern = new RegExp(`(?<![\\w-])(?:${names.join('|')})(?![\\w])`, 'g');
+
+  let count = 0;
+  const newText = text.replace(pattern, name => {
+    count++;
+    return renameMap.get(name);
+  });
+  return { text: newText, count };
+}
+
+// Utility: Renumber the reports of a task and update links between them.
+// Modes: compact (number 1..n in current order), normalize (same numbers, uniform width),
+// move (put file at position, shifting others), insert (new report at position or after a file).
+// All modes but normalize leave the numbering compact. Fails, unless it's a dry run, if another
+// session claimed the task.
+async function renumberReports(project, taskDir, {
+  mode, file, position, after, suffix, content, width, dryRun = false, session
+}) {
+  if (!RENUMBER_MODES.includes(mode)) {
+    throw new Error(`Invalid mode "${mode}": must be one of ${RENUMBER_MODES.join(', ')}`);
+  }
+  if (width !== undefined && (!Number.isInteger(width) || width < 1 || width > 10)) {
+    throw new Error('width must be an integer from 1 to 10');
+  }
+
+  return withTaskLock(project, taskDir, async () => {
+    if (!dryRun) {
+      await ensureTaskWritable(project, taskDir, session);
+    }
+    const taskPath = path.join(project.tasksDir, taskDir);
+    const sequence = (await listReportFiles(project, taskDir))
+      .map(name => {
+        const [, number, rest] = name.match(/^(\d+)-(.*)$/);
+        return { from: name, number: parseInt(number, 10), rest };
+      })
+      .sort((a, b) => a.number - b.number || a.from.localeCompare(b.from));
+
+    const findIndex = ref => {
+      const fileName = resolveReportFileName(project, taskDir, ref);
+      const index = sequence.findIndex(entry => entry.from === fileName);
+      if (index < 0) {
+        throw new Error(`Report not found: ${fileName}`);
+      }
+      return index;
+    };
+    const checkPosition = max => {
+      if (!Number.isInteger(position) || position < 1 || position > max) {
+        throw new Error(`position must be an integer from 1 to ${max}`);
+      }
+    };
+
+    let inserted = null;
+    if (mode === 'move') {
+      if (!file) throw new Error('file is required to move a report');
+      const index = findIndex(file);
+      checkPosition(sequence.length);
+      const [entry] = sequence.splice(index, 1);
+      sequence.splice(position - 1, 0, entry);
+    } else if (mode === 'insert') {
+      if (!suffix) throw new Error('suffix is required to insert a report');
+      validateSlug(suffix, 'suffix');
+      let insertAt;
+      if (after !== undefined) {
+        insertAt = findIndex(after) + 1;
+      } else {
+        checkPosition(sequence.length + 1);
+        insertAt = position - 1;
+      }
+      inserted = { from: null, rest: `${suffix}${project.config.reportExtension}` };
+      sequence.splice(insertAt, 0, inserted);
+    }
+
+    if (mode !== 'normalize') {
+      sequence.forEach((entry, index) => { entry.number = index + 1; });
+    }
+    const maxNumber = Math.max(0, ...sequence.map(entry => entry.number));
+    const digits = Math.max(width ?? project.config.numberWidth, String(maxNumber).length);
+    for (const entry of sequence) {
+      entry.to = `${String(entry.number).padStart(digits, '0')}-${entry.rest}`;
+    }
+
+    const seen = new Set();
+    for (const entry of sequence) {
+      if (seen.has(entry.to)) {
+        throw new Error(`Renumbering would produce ${entry.to} twice; use compact mode instead`);
+      }
+      seen.add(entry.to);
+    }
+
+    const renames = sequence.filter(entry => entry.from && entry.from !== entry.to);
+    const renameMap = new Map(renames.map(entry => [entry.from, entry.to]));
+    const linkUpdates = [];
+    for (const entry of sequence) {
+      if (!entry.from) continue;
+      const original = await project.fs.readFile(path.join(taskPath, entry.from), 'utf8');
+      const { text, count } = replaceReportLinks(original, renameMap);
+      if (count > 0) {
+        linkUpdates.push({ entry, text, count });
+      }
+    }
+
+    const result = {
+      renames: renames.map(entry => ({ from: entry.from, to: entry.to })),
+      updated_links: linkUpdates.map(({ entry, count }) => ({ file: entry.to, replacements: count })),
+      dry_run: dryRun
+    };
+    if (inserted) {
+      result.inserted = displayPath(project, taskDir, inserted.to);
+    }
+    if (dryRun) {
+      return result;
+    }
+
+    // Two phases, so swaps and shifts never overwrite a file that has yet to move
+    for (const [i, entry] of renames.entries()) {
+      await project.fs.rename(path.join(taskPath, entry.from), path.join(taskPath, `.renumber-${i}.tmp`));
+    }
+    for (const [i, entry] of renames.entries()) {
+      await project.fs.rename(path.join(taskPath, `.renumber-${i}.tmp`), path.join(taskPath, entry.to));
+    }
+    for (const { entry, text } of linkUpdates) {
+      await project.fs.writeFile(path.join(taskPath, entry.to), text);
+    }
+    if (inserted) {
+      await project.fs.writeFile(path.join(taskPath, inserted.to), content ?? `# ${suffix}\n`, { flag: 'wx' });
+    }
+    return result;
+  });
+}
+
+// Utility: List the names of the task templates (subdirectories of the templates directory)
+async function listTemplateNames(project) {
+  try {
+    const entries = await project.fs.readdir(project.templatesDir, { withFileTypes: true });
+    return entries
+      .filter(entry => entry.isDirectory() && normalizeSlug(entry.name) === entry.name)
+      .map(entry => entry.name)
+      .sort();
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+// Utility: Load a task template: its optional template.json and its report files, in number order
+async function loadTemplate(project, name) {
+  validateSlug(name, 'template');
+  const available = await listTemplateNames(project);
+  if (!available.includes(name)) {
+    throw toolError(`Template "${name}" not found`, { available_templates: available });
+  }
+  const templatePath = path.join(project.templatesDir, name);
+
+  let description = null;
+  try {
+    const meta = JSON.parse(await project.fs.readFile(path.join(templatePath, TEMPLATE_META_FILE), 'utf8'));
+    description = typeof meta.description === 'string' ? meta.description : null;
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw new Error(`Invalid ${TEMPLATE_META_FILE} in template "${name}": ${error.message}`);
+    }
+  }
+
+  const reportNames = (await project.fs.readdir(templatePath))
+    .filter(fileName => project.reportFilePattern.test(fileName))
+    .sort((a, b) => parseInt(a, 10) - parseInt(b, 10) || a.localeCompare(b));
+  const reports = [];
+  for (const fileName of reportNames) {
+    reports.push({ fileName, content: await project.fs.readFile(path.join(templatePath, fileName), 'utf8') });
+  }
+  return { name, description, reports };
+}
+
+// Utility: Replace {{name}} placeholders with values; unknown placeholders are left as they are
+function substituteTemplateVars(text, vars) {
+  return text.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, key) =>
+    Object.hasOwn(vars, key) ? vars[key] : placeholder
+  );
+}
+
+// Utility: Write the reports of a template into a task, numbered from the next free number
+async function expandTemplate(project, taskDir, template, vars) {
+  const created = [];
+  for (const { fileName, content } of template.reports) {
+    const suffix = fileName.replace(/^\d+-/, '').slice(0, -project.config.reportExtension.length);
+    const reportFile = await reserveReportFile(project, taskDir, suffix, { content: substituteTemplateVars(content, vars) });
+    created.push(reportFile);
+  }
+  return created;
+}
+
+// Utility: Extract the title (first markdown heading) of a report
+function getReportTitle(content) {
+  const match = content.match(/^#{1,6}\s+(.+?)\s*#*\s*$/m);
+  return match ? match[1] : null;
+}
+
+// Utility: Build a digest of a task's reports: title and first lines of each,
+// within a total excerpt budget so the result fits into an agent's context
+async function getTaskDigest(project, taskDir, { lines = DIGEST_LINES, maxBytes = DIGEST_MAX_BYTES } = {}) {
+  for (const [name, value] of [['lines', lines], ['max_bytes', maxBytes]]) {
+    if (!Number.isInteger(value) || value < 0) {
+      throw new Error(`${name} must be a non-negative integer`);
+    }
+  }
+  const { shown, skipped } = windowReportFiles(project, await listReportFiles(project, taskDir));
+  let budget = maxBytes;
+  let budgetExhausted = false;
+
+  const reports = [];
+  for (const fileName of shown) {
+    const content = await project.fs.readFile(path.join(project.tasksDir, taskDir, fileName), 'utf8');
+    const allLines = content.split('\n');
+    let excerpt = allLines.slice(0, lines).join('\n');
+    let truncated = allLines.length > lines;
+
+    if (Buffer.byteLength(excerpt) > budget) {
+      excerpt = Buffer.from(excerpt).subarray(0, budget).toString('utf8').replace(/\uFFFD$/, '');
+      truncated = true;
+      budgetExhausted = true;
+    }
+    budget -= Buffer.byteLength(excerpt);
+
+    reports.push({
+      file: fileName,
+      title: getReportTitle(content),
+      line_count: allLines.length,
+      excerpt,
+      truncated
+    });
+  }
+
+  const digest = {
+    reports_dir: displayPath(project, taskDir),
+    reports
+  };
+  if (skipped.length > 0) {
+    digest.skipped = {
+      count: skipped.length,
+      first: skipped[0],
+      last: skipped[skipped.length - 1],
+      note: `${skipped.length} reports from ${skipped[0]} to ${skipped[skipped.length - 1]} are not included; use read_report to read them`
+    };
+  }
+  if (budgetExhausted) {
+    digest.budget_exhausted = true;
+  }
+  return digest;
+}
+
+// Utility: Split text into unique lowercase words for the search index
+function tokenize(text) {
+  return [...new Set(text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])];
+}
+
+// Utility: Add or replace a report in the in-memory search index, keeping postings in sync
+function setIndexEntry(index, key, entry) {
+  deleteIndexEntry(index, key);
+  index.reports.set(key, entry);
+  for (const word of entry.words) {
+    if (!index.postings.has(word)) index.postings.set(word, new Set());
+    index.postings.get(word).add(key);
+  }
+}
+
+// Utility: Remove a report from the in-memory search index
+function deleteIndexEntry(index, key) {
+  const entry = index.reports.get(key);
+  if (!entry) return;
+  index.reports.delete(key);
+  for (const word of entry.words) {
+    const keys = index.postings.get(word);
+    keys.delete(key);
+    if (keys.size === 0) index.postings.delete(word);
+  }
+}
+
+// Utility: Get the project's search index, loading it from disk on first use. The file
+// stores each report's mtime, size and words; postings (word -> reports) are rebuilt in memory.
+async function loadSearchIndex(project) {
+  if (project.searchIndex) {
+    return project.searchIndex;
+  }
+
+  const index = { reports: new Map(), postings: new Map() };
+  try {
+    const data = JSON.parse(await project.fs.readFile(path.join(project.tasksDir, STATE_DIR_NAME, INDEX_FILE_NAME), 'utf8'));
+    if (data.version === INDEX_VERSION) {
+      for (const [key, entry] of Object.entries(data.reports)) {
+        setIndexEntry(index, key, entry);
+      }
+    }
+  } catch (error) {
+    // Missing or unreadable index: refreshSearchIndex rebuilds it
+  }
+  // A concurrent call may have loaded it while we were reading, and indexed reports since
+  project.searchIndex ??= index;
+  return project.searchIndex;
+}
+
+// Utility: Write the search index to disk (via rename, so other processes never read half of it).
+// Saves of a project run one at a time, each writing the index as it is when its turn comes.
+function saveSearchIndex(project, index) {
+  const save = async () => {
+    const stateDir = path.join(project.tasksDir, STATE_DIR_NAME);
+    await project.fs.mkdir(stateDir, { recursive: true });
+
+    const data = { version: INDEX_VERSION, reports: Object.fromEntries(index.reports) };
+    await writeFileAtomic(project.fs, path.join(stateDir, INDEX_FILE_NAME), JSON.stringify(data));
+  };
+  const saving = project.indexSaving.then(save, save);
+  project.indexSaving = saving.catch(() => {});
+  return saving;
+}
+
+// Utility: Read a report into an index entry; null if it is gone
+async function readIndexEntry(project, taskDir, fileName) {
+  const filePath = path.join(project.tasksDir, taskDir, fileName);
+  try {
+    const stat = await project.fs.stat(filePath);
+    const content = await project.fs.readFile(filePath, 'utf8');
+    return { mtime: stat.mtimeMs, size: stat.size, words: tokenize(`${fileName}\n${content}`) };
+  } catch (error) {
+    return null;
+  }
+}
+
+// Utility: Bring the search index up to date with the reports on disk. Reports are
+// re-read only when their mtime or size changed, so edits made outside Bureau are picked up cheaply.
+async function refreshSearchIndex(project) {
+  const index = await loadSearchIndex(project);
+  const seen = new Set();
+  let changed = false;
+
+  for (const taskDir of await getAllTaskDirs(project)) {
+    for (const fileName of await listReportFiles(project, taskDir)) {
+      const key = `${taskDir}/${fileName}`;
+      let stat;
+      try {
+        stat = await project.fs.stat(path.join(project.tasksDir, taskDir, fileName));
+      } catch (error) {
+        continue; // Removed meanwhile
+      }
+      seen.add(key);
+
+      const entry = index.reports.get(key);
+      if (entry && entry.mtime === stat.mtimeMs && entry.size === stat.size) continue;
+
+      const newEntry = await readIndexEntry(project, taskDir, fileName);
+      if (newEntry) {
+        setIndexEntry(index, key, newEntry);
+        changed = true;
+      }
+    }
+  }
+
+  for (const key of [...index.reports.keys()]) {
+    if (!seen.has(key)) {
+      deleteIndexEntry(index, key);
+      changed = true;
+    }
+  }
+
+  if (changed) {
+    await saveSearchIndex(project, index);
+  }
+  return index;
+}
+
+// Utility: Update the search index after Bureau writes a report (no-op when the index is off)
+async function indexReport(project, taskDir, fileName) {
+  if (!project.config.searchIndex) return;
+
+  const index = await loadSearchIndex(project);
+  const key = `${taskDir}/${fileName}`;
+  const entry = await readIndexEntry(project, taskDir, fileName);
+  if (entry) {
+    setIndexEntry(index, key, entry);
+  } else {
+    deleteIndexEntry(index, key);
+  }
+  await saveSearchIndex(project, index);
+}
+
+// Utility: Rebuild the search index from scratch
+async function rebuildSearchIndex(project) {
+  project.searchIndex = { reports: new Map(), postings: new Map() };
+  await project.fs.rm(path.join(project.tasksDir, STATE_DIR_NAME, INDEX_FILE_NAME), { force: true });
+  const index = await refreshSearchIndex(project);
+  await saveSearchIndex(project, index);
+  return index;
+}
+
+// Utility: Reports that may contain a plain-text query: those having, for every word of
+// the query, some indexed word containing it. Returns null when the query has no words.
+function findIndexCandidates(index, query) {
+  const queryWords = tokenize(query);
+  if (queryWords.length === 0) {
+    return null;
+  }
+
+  let candidates = null;
+  for (const queryWord of queryWords) {
+    const matching = new Set();
+    for (const [word, keys] of index.postings) {
+      if (!word.includes(queryWord)) continue;
+      for (const key of keys) {
+        if (!candidates || candidates.has(key)) matching.add(key);
+      }
+    }
+    candidates = matching;
+  }
+  return candidates;
+}
+
+// Utility: Search report file names and contents across tasks, newest tasks first
+async function searchReports(project, {
+  query, regex = false, caseSensitive = false, since, until, task,
+  maxResults = SEARCH_MAX_RESULTS, contextLines = SEARCH_CONTEXT_LINES
+}) {
+  const source = regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  let pattern;
+  try {
+    pattern = new RegExp(source, caseSensitive ? '' : 'i');
+  } catch (error) {
+    throw new Error(`Invalid regex "${query}": ${error.message}`);
+  }
+  for (const [name, value] of [['since', since], ['until', until]]) {
+    if (value !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      throw new Error(`Invalid ${name} "${value}": expected YYYY-MM-DD`);
+    }
+  }
+  if (!Number.isInteger(maxResults) || maxResults < 1) {
+    throw new Error('max_results must be a positive integer');
+  }
+  // Zero context lines is fine: snippets are then just the matching lines
+  if (!Number.isInteger(contextLines) || contextLines < 0) {
+    throw new Error('context_lines must be a non-negative integer');
+  }
+
+  const taskDirs = task
+    ? [await resolveTaskRef(project, task)]
+    : (await getAllTaskDirs(project)).filter(dirName => {
+      const date = parseTaskDirName(dirName).datePrefix.slice(0, 10);
+      return (!since || date >= since) && (!until || date <= until);
+    }).reverse();
+
+  // With the index on, only read reports that can contain a plain-text query
+  let candidates = null;
+  if (project.config.searchIndex && !regex) {
+    candidates = findIndexCandidates(await refreshSearchIndex(project), query);
+  }
+
+  const clip = line => line.length > SEARCH_MAX_LINE_LENGTH ? line.slice(0, SEARCH_MAX_LINE_LENGTH) + '…' : line;
+  const matches = [];
+  let searchedReports = 0;
+  let truncated = false;
+
+  search:
+  for (const taskDir of taskDirs) {
+    // All reports, not just the windowed listing from getReportFiles
+    for (const fileName of await listReportFiles(project, taskDir)) {
+      searchedReports++;
+      if (candidates && !candidates.has(`${taskDir}/${fileName}`)) continue;
+      const base = { task_dir: taskDir, report_file: displayPath(project, taskDir, fileName) };
+
+      if (pattern.test(fileName)) {
+        if (matches.length >= maxResults) { truncated = true; break search; }
+        matches.push({ ...base, match_in: 'filename', line: null, snippet: null });
+      }
+
+      let content;
+      try {
+        content = await project.fs.readFile(path.join(project.tasksDir, taskDir, fileName), 'utf8');
+      } catch (error) {
+        continue; // Removed while searching
+      }
+      const lines = content.split('\n');
+      for (let i = 0; i < lines.length; i++) {
+        if (!pattern.test(lines[i])) continue;
+        if (matches.length >= maxResults) { truncated = true; break search; }
+
+        const from = Math.max(0, i - contextLines);
+        const to = Math.min(lines.length, i + contextLines + 1);
+        const snippet = lines.slice(from, to).map((line, j) => `${from + j + 1}: ${clip(line)}`).join('\n');
+        matches.push({ ...base, match_in: 'content', line: i + 1, snippet });
+      }
+    }
+  }
+
+  return { matches, truncated, searched_reports: searchedReports };
+}
+
+// Utility: Find the task directories a task reference could mean. Tries, in order,
+// and stops at the first kind of match that finds anything:
+// full directory name, date-qualified slug (2025-10-01-fix-login also matches
+// 2025-10-01b-fix-login), exact slug, slug prefix, and all words of the reference
+// occurring in the slug
+async function findTaskDirs(project, ref, { archived = false, exact = false } = {}) {
+  const allDirs = await getAllTaskDirs(project, { archived });
+  if (allDirs.includes(ref)) {
+    return [ref];
+  }
+
+  const tasks = allDirs.map(dirName => ({ dirName, ...parseTaskDirName(dirName) }));
+  if (exact) {
+    return tasks.filter(task => task.slug === ref).map(task => task.dirName);
+  }
+  const qualified = parseTaskDirName(ref);
+  const words = ref.split('-').filter(Boolean);
+  const matchers = [
+    qualified && (task => task.datePrefix.slice(0, 10) === qualified.datePrefix.slice(0, 10) && task.slug === qualified.slug),
+    task => task.slug === ref,
+    task => task.slug.startsWith(ref),
+    words.length > 0 && (task => words.every(word => task.slug.includes(word)))
+  ].filter(Boolean);
+
+  for (const matches of matchers) {
+    const found = tasks.filter(matches).map(task => task.dirName);
+    if (found.length > 0) {
+      return found;
+    }
+  }
+  return [];
+}
+
+// Utility: Resolve a task reference to exactly one task directory; when it is ambiguous,
+// fail with the candidates instead of guessing. With exact, only the full directory name
+// or the whole slug match, for tools that must not guess at all.
+async function resolveTaskRef(project, ref, { archived = false, exact = false } = {}) {
+  const found = await findTaskDirs(project, ref, { archived, exact });
+  if (found.length === 0) {
+    const hint = exact ? ' (give the full task directory name or slug)' : '';
+    throw new Error(`${archived ? 'Archived task' : 'Task'} not found: ${ref}${hint}`);
+  }
+  if (found.length > 1) {
+    const candidates = [];
+    for (const dirName of found.reverse()) {
+      const { title, status } = await readTaskMeta(project, archived ? path.join(ARCHIVE_DIR_NAME, dirName) : dirName);
+      candidates.push({ task_dir: dirName, date: parseTaskDirName(dirName).datePrefix.slice(0, 10), title, status });
+    }
+    throw toolError(`Task reference "${ref}" is ambiguous: use one of the candidate task_dir values`, { candidates });
+  }
+  return found[0];
+}
+
+// Utility: Resolve an optional task argument (see resolveTaskRef), defaulting to the current task
+// (of the session, if given)
+async function resolveTaskDir(project, task, session) {
+  if (!task) {
+    const taskDir = await getCurrentTaskDir(project, session);
+    if (!taskDir) {
+      throw new Error('No current task');
+    }
+    return taskDir;
+  }
+  return resolveTaskRef(project, task);
+}
+
+const PROJECT_PROPERTY = {
+  type: 'string',
+  description: 'Project name from list_projects, or a project root path (defaults to the project the server was started in)'
+};
+
+const SESSION_PROPERTY = {
+  type: 'string',
+  description: 'Your agent session id, to keep your own current task when other agents work in the same project (letters, digits, dots, dashes, underscores; defaults to the session of the connection, if any)'
+};
+
+// Tools, as listed to MCP clients
+const TOOLS = [
+  {
+    name: 'current_task',
+    description: 'Returns current task info including task slug, reports directory, report file names, the chain of parent tasks and the subtasks',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project: PROJECT_PROPERTY,
+        session_id: SESSION_PROPERTY
+      },
+      required: []
+    }
+  },
+  {
+    name: 'start_new_task',
+    description: 'Creates a new task directory and makes it the current task, optionally seeding it with the reports of a template',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project: PROJECT_PROPERTY,
+        session_id: SESSION_PROPERTY,
+        task_slug: {
+          type: 'string',
+          description: 'Slug for the task in lowercase kebab-case (e.g., "some-urgent-task")'
+        },
+        title: {
+          type: 'string',
+          description: 'Human-readable title of the task'
+        },
+        tags: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Tags in lowercase kebab-case'
+        },
+        template: {
+          type: 'string',
+          description: 'Name of a task template whose reports are created in the new task (see list_templates)'
+        },
+        request: {
+          type: 'string',
+          description: 'Text of the user request, substituted for {{request}} in the template'
+        }
+      },
+      required: ['task_slug']
+    }
+  },
+  {
+    name: 'start_subtask',
+    description: 'Creates a subtask of the current (or specified) task and makes it the current task. The subtask is a separate task directory linked to its parent through metadata, with its own report numbering.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project: PROJECT_PROPERTY,
+        session_id: SESSION_PROPERTY,
+        task_slug: {
+          type: 'string',
+          description: 'Slug for the subtask in lowercase kebab-case (e.g., "investigate-timeout")'
+        },
+        parent: {
+          type: 'string',
+          description: 'Directory name or slug of the parent task (defaults to the current task)'
+        },
+        title: {
+          type: 'string',
+          description: 'Human-readable title of the subtask'
+        },
+        tags: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Tags in lowercase kebab-case'
+        }
+      },
+      required: ['task_slug']
+    }
+  },
+  {
+    name: 'finish_subtask',
+    description: 'Marks the current (or specified) subtask as done and makes its parent the current task again. Optionally files a summary report into the parent task.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project: PROJECT_PROPERTY,
+        session_id: SESSION_PROPERTY,
+        task: {
+          type: 'string',
+          description: 'Subtask directory name or slug (defaults to the current task)'
+        },
+        summary: {
+          type: 'string',
+          description: 'Markdown summary to write into the parent task as the next report (<subtask-slug>-summary)'
+        },
+        status: {
+          type: 'string',
+          enum: TASK_STATUSES,
+          description: 'Status to give the subtask (default "done")'
+        }
+      },
+      required: []
+    }
+  },
+  {
+    name: 'switch_task',
+    description: 'Switches current task to the specified one. If the reference matches several tasks, returns the candidates instead of switching.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project: PROJECT_PROPERTY,
+        session_id: SESSION_PROPERTY,
+        task_slug: {
+          type: 'string',
+          description: 'Task to switch to: full directory name (e.g., "2025-10-01b-fix-login"), date-qualified slug (e.g., "2025-10-01-fix-login"), slug, slug prefix, or words of the slug'
+        }
+      },
+      required: ['task_slug']
+    }
+  },
+  {
+    name: 'search_reports',
+    description: 'Searches report contents and file names across all tasks (newest first), returning matching lines with context',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project: PROJECT_PROPERTY,
+        query: {
+          type: 'string',
+          description: 'Text to search for (or a regular expression if regex is true)'
+        },
+        regex: {
+          type: 'boolean',
+          description: 'Treat query as a JavaScript regular expression (default false)'
+        },
+        case_sensitive: {
+          type: 'boolean',
+          description: 'Match case exactly (default false)'
+        },
+        since: {
+          type: 'string',
+          description: 'Only tasks dated on or after this day (YYYY-MM-DD)'
+        },
+        until: {
+          type: 'string',
+          description: 'Only tasks dated on or before this day (YYYY-MM-DD)'
+        },
+        task: {
+          type: 'string',
+          description: 'Only search this task (directory name or slug)'
+        },
+        max_results: {
+          type: 'number',
+          description: `Maximum number of matches to return (default ${SEARCH_MAX_RESULTS})`
+        },
+        context_lines: {
+          type: 'number',
+          description: `Lines of context around each matching line (default ${SEARCH_CONTEXT_LINES})`
+        }
+      },
+      required: ['query']
+    }
+  },
+  {
+    name: 'reindex',
+    description: 'Rebuilds the search index from scratch (only when the search index is enabled in .bureau.json)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project: PROJECT_PROPERTY
+      },
+      required: []
+    }
+  },
+  {
+    name: 'list_tasks',
+    description: 'Lists tasks with filtering and paging, newest first by default',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project: PROJECT_PROPERTY,
+        session_id: SESSION_PROPERTY,
+        since: {
+          type: 'string',
+          description: 'Only tasks dated on or after this day (YYYY-MM-DD)'
+        },
+        until: {
+          type: 'string',
+          description: 'Only tasks dated on or before this day (YYYY-MM-DD)'
+        },
+        status: {
+          type: ['string', 'array'],
+          items: { type: 'string', enum: TASK_STATUSES },
+          description: 'Only tasks with this status (or any of these statuses)'
+        },
+        tags: {
+          type: ['string', 'array'],
+          items: { type: 'string' },
+          description: 'Only tasks having this tag (or all of these tags)'
+        },
+        sort: {
+          type: 'string',
+          enum: TASK_SORT_ORDERS,
+          description: 'Sort order: newest or oldest by task date, or most recently updated first (default newest)'
+        },
+        limit: {
+          type: 'number',
+          description: `Maximum number of tasks to return (default ${LIST_TASKS_LIMIT})`
+        },
+        cursor: {
+          type: 'string',
+          description: 'next_cursor from the previous page'
+        },
+        include_archived: {
+          type: 'boolean',
+          description: 'Also list archived tasks (default false)'
+        }
+      },
+      required: []
+    }
+  },
+  {
+    name: 'renumber_reports',
+    description: 'Renumbers the reports of the current or specified task: compact gaps, normalize prefix width, move a report to another position, or insert a new report between existing ones. Links to renamed reports inside the task are updated. Use dry_run to see the planned renames first.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project: PROJECT_PROPERTY,
+        session_id: SESSION_PROPERTY,
+        task: {
+          type: 'string',
+          description: 'Task directory name or slug (defaults to the current task)'
+        },
+        mode: {
+          type: 'string',
+          enum: RENUMBER_MODES,
+          description: 'compact: number reports 1..n; normalize: keep numbers, unify prefix width; move: move file to position; insert: create a new report at position or after a file. All modes except normalize leave the numbering compact.'
+        },
+        file: {
+          type: 'string',
+          description: 'Report to move (move mode)'
+        },
+        position: {
+          type: 'number',
+          description: 'Target position, 1-based (move and insert modes)'
+        },
+        after: {
+          type: 'string',
+          description: 'Insert the new report right after this report (insert mode, instead of position)'
+        },
+        suffix: {
+          type: 'string',
+          description: 'Suffix of the new report in lowercase kebab-case (insert mode)'
+        },
+        content: {
+          type: 'string',
+          description: 'Content of the new report (insert mode; defaults to a placeholder header)'
+        },
+        width: {
+          type: 'number',
+          description: 'Prefix width (defaults to the configured width, widened if needed)'
+        },
+        dry_run: {
+          type: 'boolean',
+          description: 'Only return the planned renames and link updates (default false)'
+        }
+      },
+      required: ['mode']
+    }
+  },
+  {
+    name: 'rename_task',
+    description: 'Renames the current or specified task to a new slug, keeping its date prefix and the current task pointer',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project: PROJECT_PROPERTY,
+        session_id: SESSION_PROPERTY,
+        task: {
+          type: 'string',
+          description: 'Task directory name or slug (defaults to the current task)'
+        },
+        new_slug: {
+          type: 'string',
+          description: 'New slug in lowercase kebab-case'
+        }
+      },
+      required: ['new_slug']
+    }
+  },
+  {
+    name: 'archive_task',
+    description: `Moves the current or specified task into the ${ARCHIVE_DIR_NAME}/ directory, which task listings skip by default. If it was the current task, there is no current task afterwards.`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project: PROJECT_PROPERTY,
+        session_id: SESSION_PROPERTY,
+        task: {
+          type: 'string',
+          description: 'Task directory name or slug (defaults to the current task)'
+        },
+        restore: {
+          type: 'boolean',
+          description: 'Move the specified archived task back out of the archive instead'
+        }
+      },
+      required: []
+    }
+  },
+  {
+    name: 'delete_task',
+    description: 'Deletes a task. Refuses tasks that contain reports or other files unless force is true.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project: PROJECT_PROPERTY,
+        session_id: SESSION_PROPERTY,
+        task: {
+          type: 'string',
+          description: 'Full task directory name, or the whole slug (no prefixes or partial words)'
+        },
+        force: {
+          type: 'boolean',
+          description: 'Delete the task even if it is not empty (default false)'
+        }
+      },
+      required: ['task']
+    }
+  },
+  {
+    name: 'update_task',
+    description: 'Updates metadata (title, tags, summary, parent task) of the current or specified task',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project: PROJECT_PROPERTY,
+        session_id: SESSION_PROPERTY,
+        task: {
+          type: 'string',
+          description: 'Task directory name or slug (defaults to the current task)'
+        },
+        title: {
+          type: 'string',
+          description: 'Human-readable title of the task'
+        },
+        tags: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Tags in lowercase kebab-case; replaces the existing tags'
+        },
+        summary: {
+          type: 'string',
+          description: 'Free-form summary of the task'
+        },
+        parent: {
+          type: ['string', 'null'],
+          description: 'Directory name or slug of the parent task, or null to clear'
+        }
+      },
+      required: []
+    }
+  },
+  {
+    name: 'set_task_status',
+    description: `Sets the status of the current or specified task (${TASK_STATUSES.join(', ')})`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project: PROJECT_PROPERTY,
+        session_id: SESSION_PROPERTY,
+        task: {
+          type: 'string',
+          description: 'Task directory name or slug (defaults to the current task)'
+        },
+        status: {
+          type: 'string',
+          enum: TASK_STATUSES,
+          description: 'New status of the task'
+        }
+      },
+      required: ['status']
+    }
+  },
+  {
+    name: 'list_recent_tasks',
+    description: 'Lists all task directories from the last 30 days',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project: PROJECT_PROPERTY,
+        session_id: SESSION_PROPERTY
+      },
+      required: []
+    }
+  },
+  {
+    name: 'write_report',
+    description: 'Creates the next sequentially numbered report file in the current task with the given content',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project: PROJECT_PROPERTY,
+        session_id: SESSION_PROPERTY,
+        suffix: {
+          type: 'string',
+          description: 'Suffix for the report file in lowercase kebab-case (e.g., "code-review")'
+        },
+        content: {
+          type: 'string',
+          description: 'Markdown content of the report'
+        }
+      },
+      required: ['suffix', 'content']
+    }
+  },
+  {
+    name: 'append_to_report',
+    description: 'Appends content to an existing report file in the current task (e.g., for incremental logs)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project: PROJECT_PROPERTY,
+        session_id: SESSION_PROPERTY,
+        file: {
+          type: 'string',
+          description: 'Report file name (e.g., "003-log.md") or the path returned by write_report'
+        },
+        content: {
+          type: 'string',
+          description: 'Markdown content to append'
+        }
+      },
+      required: ['file', 'content']
+    }
+  },
+  {
+    name: 'read_report',
+    description: 'Returns the content of a report file in the current task, or in the specified task',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project: PROJECT_PROPERTY,
+        session_id: SESSION_PROPERTY,
+        file: {
+          type: 'string',
+          description: 'Report file name (e.g., "003-plan.md") or its path'
+        },
+        task: {
+          type: 'string',
+          description: 'Task directory name or slug (defaults to the current task)'
+        }
+      },
+      required: ['file']
+    }
+  },
+  {
+    name: 'read_task_digest',
+    description: 'Returns the title and first lines of every report in the current (or specified) task, to catch up on a task quickly',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project: PROJECT_PROPERTY,
+        session_id: SESSION_PROPERTY,
+        task: {
+          type: 'string',
+          description: 'Task directory name or slug (defaults to the current task)'
+        },
+        lines: {
+          type: 'number',
+          description: `Number of lines to include from each report (default ${DIGEST_LINES})`
+        },
+        max_bytes: {
+          type: 'number',
+          description: `Total size budget for all excerpts (default ${DIGEST_MAX_BYTES})`
+        }
+      },
+      required: []
+    }
+  },
+  {
+    name: 'list_templates',
+    description: 'Lists the task templates available to start_new_task, with the reports each one creates',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project: PROJECT_PROPERTY
+      },
+      required: []
+    }
+  },
+  {
+    name: 'claim_task',
+    description: 'Claims the current (or specified) task for your session for a while, so that other agents cannot write to it. Call again to renew the lease; release_task gives it up.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project: PROJECT_PROPERTY,
+        session_id: SESSION_PROPERTY,
+        task: {
+          type: 'string',
+          description: 'Task directory name or slug (defaults to the current task)'
+        },
+        lease_minutes: {
+          type: 'number',
+          description: `How long the claim lasts unless renewed or released (default ${CLAIM_LEASE_MINUTES}, at most ${CLAIM_MAX_LEASE_MINUTES})`
+        }
+      },
+      required: []
+    }
+  },
+  {
+    name: 'release_task',
+    description: 'Releases your claim on the current (or specified) task',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project: PROJECT_PROPERTY,
+        session_id: SESSION_PROPERTY,
+        task: {
+          type: 'string',
+          description: 'Task directory name or slug (defaults to the current task)'
+        },
+        force: {
+          type: 'boolean',
+          description: 'Release the claim even if another session holds it (default false)'
+        }
+      },
+      required: []
+    }
+  },
+  {
+    name: 'list_sessions',
+    description: 'Lists the agent sessions that have their own current task, and the task each one is on',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project: PROJECT_PROPERTY,
+        session_id: SESSION_PROPERTY
+      },
+      required: []
+    }
+  },
+  {
+    name: 'list_projects',
+    description: 'Lists the projects this server can manage tasks for, with their current tasks',
+    inputSchema: {
+      type: 'object',
+      properties: {},
+      required: []
+    }
+  },
+  {
+    name: 'start_new_report_file',
+    description: 'Reserves the next sequentially numbered report file by creating it with a placeholder header, and returns its path. Overwrite the placeholder with the report content.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project: PROJECT_PROPERTY,
+        session_id: SESSION_PROPERTY,
+        suffix: {
+          type: 'string',
+          description: 'Suffix for the report file in lowercase kebab-case (e.g., "code-review")'
+        }
+      },
+      required: ['suffix']
+    }
+  }
+];
+
+// Resource templates, for reports and tasks that are not listed
+const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: 'bureau://task/{task}',
+    name: 'task',
+    description: 'A task by directory name or slug: report list and metadata',
+    mimeType: 'application/json'
+  },
+  {
+    uriTemplate: 'bureau://task/{task}/{file}',
+    name: 'report',
+    description: 'A report of a task, by task directory name or slug and report file name',
+    mimeType: 'text/markdown'
+  }
+];
+
+// Utility: Parse a bureau:// resource URI into project, task and report file references
+function parseResourceUri(uri) {
+  const match = uri.match(/^bureau:\/\/(?:(current)|task\/([^/?]+)(?:\/([^/?]+))?)(?:\?project=([^&]+))?$/);
+  if (!match) {
+    throw new Error(`Unknown resource: ${uri}`);
+  }
+  const [, current, taskRef, file, projectRef] = match;
+  return {
+    projectRef: projectRef && decodeURIComponent(projectRef),
+    current: Boolean(current),
+    taskRef: taskRef && decodeURIComponent(taskRef),
+    file: file && decodeURIComponent(file)
+  };
+}
+
+// Prompts: standard workflows, filled in with the state of the current task
+const PROMPTS = [
+  {
+    name: 'resume_current_task',
+    description: 'Catch up on the current task: its reports and the latest report, then continue the work',
+    arguments: [
+      { name: 'project', description: PROJECT_PROPERTY.description, required: false }
+    ]
+  },
+  {
+    name: 'start_task_from_request',
+    description: 'Start a new task from a user request: save the request, write a plan, then work through it',
+    arguments: [
+      { name: 'request', description: 'The user request', required: true },
+      { name: 'task_slug', description: 'Slug for the task (picked by the agent if omitted)', required: false },
+      { name: 'template', description: 'Task template to start from (see list_templates)', required: false },
+      { name: 'project', description: PROJECT_PROPERTY.description, required: false }
+    ]
+  },
+  {
+    name: 'write_handoff_report',
+    description: 'Write a handoff report so another agent (or a human) can pick up the current task',
+    arguments: [
+      { name: 'notes', description: 'Anything the handoff must mention', required: false },
+      { name: 'project', description: PROJECT_PROPERTY.description, required: false }
+    ]
+  }
+];
+
+// Utility: Describe a task for prompt text: where it lives and which reports it has
+function describeTaskForPrompt(taskInfo) {
+  const lines = [
+    `Current task: ${taskInfo.task_slug}${taskInfo.title ? ` (${taskInfo.title})` : ''}, status ${taskInfo.status}`,
+    `Reports directory: ${taskInfo.reports_dir}`
+  ];
+  if (taskInfo.parent) {
+    lines.push(`Parent task: ${taskInfo.parent}`);
+  }
+  if (taskInfo.summary) {
+    lines.push(`Summary: ${taskInfo.summary}`);
+  }
+  lines.push(taskInfo.report_file_names.length > 0
+    ? `Reports:\n${taskInfo.report_file_names.map(name => `- ${name}`).join('\n')}`
+    : 'Reports: none yet');
+  return lines.join('\n');
+}
+
+// Utility: Take a snapshot of the tasks dir for change detection: the current task and, per task,
+// the size and mtime of its metadata file and of each report
+async function snapshotTasks(project) {
+  const statKey = async filePath => {
+    try {
+      const stat = await project.fs.stat(filePath);
+      return `${stat.mtimeMs}:${stat.size}`;
+    } catch (error) {
+      return null; // Missing, or removed meanwhile
+    }
+  };
+
+  const tasks = new Map();
+  for (const taskDir of await getAllTaskDirs(project)) {
+    const taskPath = path.join(project.tasksDir, taskDir);
+    const reports = new Map();
+    for (const fileName of await listReportFiles(project, taskDir)) {
+      const key = await statKey(path.join(taskPath, fileName));
+      if (key) reports.set(fileName, key);
+    }
+    tasks.set(taskDir, { meta: await statKey(path.join(taskPath, TASK_META_FILE)), reports });
+  }
+  return { current: await getCurrentTaskDir(project), tasks };
+}
+
+// Utility: Compare two snapshots: whether the current task moved, whether tasks were added or removed,
+// and per changed task the reports that were added, removed or modified
+function diffSnapshots(before, after) {
+  const changes = { currentChanged: before.current !== after.current, listChanged: false, tasks: [] };
+  for (const taskDir of new Set([...before.tasks.keys(), ...after.tasks.keys()])) {
+    const oldTask = before.tasks.get(taskDir);
+    const newTask = after.tasks.get(taskDir);
+    if (!oldTask || !newTask) {
+      changes.listChanged = true;
+      continue;
+    }
+
+    const files = [];
+    let reportsAddedOrRemoved = false;
+    for (const fileName of new Set([...oldTask.reports.keys(), ...newTask.reports.keys()])) {
+      if (oldTask.reports.get(fileName) !== newTask.reports.get(fileName)) {
+        files.push(fileName);
+        reportsAddedOrRemoved ||= !oldTask.reports.has(fileName) || !newTask.reports.has(fileName);
+      }
+    }
+    if (files.length > 0 || oldTask.meta !== newTask.meta) {
+      changes.tasks.push({ taskDir, files: files.sort(), listChanged: reportsAddedOrRemoved });
+    }
+  }
+  return changes;
+}
+
+// Bureau: the tasks of one or more projects, and every operation the MCP server and the CLI offer
+// on them. Emits 'resourceUpdated' (with the URI) and 'resourceListChanged' when tasks change.
+class Bureau extends EventEmitter {
+  constructor(defaultProject) {
+    super();
+    // Projects tool calls can target, by name; the default one is used when they give no project argument
+    this.projects = new Map([[defaultProject.name, defaultProject]]);
+    this.defaultProject = defaultProject;
+  }
+
+  // Open a project and the other projects its config lists. The root is given, or found by walking up
+  // from cwd to the nearest .bureau.json or git root; tasksDir overrides the config; extra project roots
+  // come from the projects array. fs and clock are passed on to every project.
+  static async open({ root, tasksDir, projects = [], cwd = process.cwd(), fs = nodeFs, clock } = {}) {
+    const rootDir = root
+      ? path.resolve(cwd, root)
+      : (await findProjectRoot(cwd, fs)) || path.resolve(cwd);
+    const config = await loadConfig(rootDir, fs);
+    const bureau = new Bureau(createProject(rootDir, config, {
+      tasksDir: tasksDir ? path.resolve(cwd, tasksDir) : undefined,
+      fs,
+      clock,
+      cwd
+    }));
+    await bureau.registerProjects(projects.map(dir => path.resolve(cwd, dir)));
+    return bureau;
+  }
+
+  // Load the project rooted at the given directory, with the default project's fs, clock and cwd
+  async loadProjectAt(rootDir, name) {
+    const { fs, clock, cwd } = this.defaultProject;
+    let stat = null;
+    try {
+      stat = await fs.stat(rootDir);
+    } catch (error) {
+      // Reported below
+    }
+    if (!stat || !stat.isDirectory()) {
+      throw new Error(`Project directory not found: ${rootDir}`);
+    }
+    return createProject(rootDir, await loadConfig(rootDir, fs), { name, fs, clock, cwd });
+  }
+
+  // Register the projects listed in the default project's config, and the given project roots
+  async registerProjects(rootDirs = []) {
+    const extra = [
+      ...Object.entries(this.defaultProject.config.projects)
+        .map(([name, dir]) => [name, path.resolve(this.defaultProject.rootDir, dir)]),
+      ...rootDirs.map(dir => [undefined, dir])
+    ];
+    for (const [name, dir] of extra) {
+      const project = await this.loadProjectAt(dir, name);
+      if (this.projects.has(project.name)) {
+        throw new Error(`Duplicate project name "${project.name}" (${this.projects.get(project.name).rootDir} and ${project.rootDir})`);
+      }
+      this.projects.set(project.name, project);
+    }
+  }
+
+  // Look up the project a tool call targets: a registered name, a root path, or the default
+  async getProject(ref) {
+    if (!ref) {
+      return this.defaultProject;
+    }
+    if (this.projects.has(ref)) {
+      return this.projects.get(ref);
+    }
+
+    if (path.isAbsolute(ref) || ref.startsWith('.')) {
+      const dir = path.resolve(this.defaultProject.rootDir, ref);
+      for (const project of this.projects.values()) {
+        if (project.rootDir === dir) return project;
+      }
+      // Unregistered roots are loaded on demand and remembered for list_projects
+      const project = await this.loadProjectAt(dir, dir);
+      this.projects.set(project.name, project);
+      return project;
+    }
+
+    throw new Error(`Unknown project: ${ref} (known projects: ${[...this.projects.keys()].join(', ')})`);
+  }
+
+  // Build the resource URI of a task or one of its reports; tasks of other projects
+  // than the default one carry a ?project= query
+  resourceUri(project, taskDir, fileName) {
+    const query = project === this.defaultProject ? '' : `?project=${encodeURIComponent(project.name)}`;
+    const segments = [taskDir, fileName].filter(Boolean).map(encodeURIComponent);
+    return `bureau://task/${segments.join('/')}${query}`;
+  }
+
+  // Build the URI of the current task resource
+  currentTaskUri(project) {
+    return project === this.defaultProject ? CURRENT_TASK_URI : `${CURRENT_TASK_URI}?project=${encodeURIComponent(project.name)}`;
+  }
+
+  // Announce that a task changed: resourceUpdated for the task, the given reports and (for the
+  // current task of the session, if given) bureau://current; resourceListChanged if resources were added or removed
+  async notifyTaskChanged(project, taskDir, { files = [], listChanged = false, session } = {}) {
+    const uris = [this.resourceUri(project, taskDir), ...files.map(fileName => this.resourceUri(project, taskDir, fileName))];
+    if ((await getCurrentTaskDir(project, session)) === taskDir) {
+      uris.push(this.currentTaskUri(project));
+    }
+    for (const uri of uris) {
+      this.emit('resourceUpdated', uri);
+    }
+    if (listChanged) {
+      this.emit('resourceListChanged');
+    }
+  }
+
+  // Announce that the current task (or the set of tasks) changed
+  async notifyCurrentChanged(project) {
+    this.emit('resourceUpdated', this.currentTaskUri(project));
+    this.emit('resourceListChanged');
+  }
+
+  listTools() {
+    return { tools: TOOLS };
+  }
+
+  // Run a tool and return its result as an MCP tool result; MCP clients and the CLI both go through here.
+  // The session_id argument, or else the session of the connection, selects whose current task to use.
+  async callTool(name, args = {}, { session: connectionSession } = {}) {
+    try {
+      const project = await this.getProject(args.project);
+      const session = args.session_id ?? connectionSession ?? null;
+      if (session !== null) {
+        validateSessionId(session);
+      }
+
+      switch (name) {
+        case 'current_task': {
+          const sessionPointer = session ? await readSessionPointer(project, session) : null;
+          const pointers = sessionPointer ? { current: sessionPointer.taskDir, consistent: true } : await readCurrentPointers(project);
+          const taskDir = pointers.current;
+          const taskInfo = await getTaskInfo(project, taskDir);
+
+          if (!taskInfo) {
+            return {
+              content: [{
+                type: 'text',
+                text: JSON.stringify({ error: 'No current task' }, null, 2)
+              }]
+            };
+          }
+
+          return {
+            content: [{
+              type: 'text',
+              text: JSON.stringify({
+                ...taskInfo,
+                ...await getTaskHierarchy(project, taskDir),
+                ...(!pointers.consistent && {
+                  current_conflict: `The ${CURRENT_LINK_NAME} symlink points to ${pointers.symlink} but ${CURRENT_FILE_NAME} names ${pointers.stateFile}; ` +
+                    `using ${taskDir}, the more recent one. switch_task makes them agree again.`
+                })
+              }, null, 2)
+            }]
+          };
+        }
+
+        case 'start_new_task': {
+          const { task_slug } = args;
+          if (!task_slug) {
+            throw new Error('task_slug is required');
+          }
+          validateSlug(task_slug, 'task_slug');
+          const changes = validateTaskMetaChanges({ title: args.title, tags: args.tags });
+          if (args.request !== undefined && typeof args.request !== 'string') {
+            throw new Error('request must be a string');
+          }
+          // Load the template up front so a bad template name leaves no empty task behind
+          const template = args.template ? await loadTemplate(project, args.template) : null;
+
+          const taskDirName = await findNextTaskDirName(project, task_slug);
+          const taskPath = path.join(project.tasksDir, taskDirName);
+          await project.fs.mkdir(taskPath, { recursive: true });
+          await updateTaskMeta(project, taskDirName, changes);
+          await updateCurrentPointer(project, taskDirName, session);
+          if (template) {
+            await expandTemplate(project, taskDirName, template, {
+              slug: task_slug,
+              task_dir: taskDirName,
+              date: parseTaskDirName(taskDirName).datePrefix.slice(0, 10),
+              title: args.title ?? task_slug,
+              request: args.request ?? ''
+            });
+          }
+          await this.notifyCurrentChanged(project);
+
+          const taskInfo = await getTaskInfo(project, taskDirName);
+          return {
+            content: [{
+              type: 'text',
+              text: JSON.stringify(taskInfo, null, 2)
+            }]
+          };
+        }
+
+        case 'start_subtask': {
+          const { task_slug } = args;
+          if (!task_slug) {
+            throw new Error('task_slug is required');
+          }
+          validateSlug(task_slug, 'task_slug');
+          const changes = validateTaskMetaChanges({ title: args.title, tags: args.tags });
+          const parentDir = await resolveTaskDir(project, args.parent, session);
+
+          const taskDirName = await findNextTaskDirName(project, task_slug);
+          await project.fs.mkdir(path.join(project.tasksDir, taskDirName), { recursive: true });
+          await updateTaskMeta(project, taskDirName, { ...changes, parent: parentDir });
+          await updateCurrentPointer(project, taskDirName, session);
+          await this.notifyTaskChanged(project, parentDir, { session });
+          await this.notifyCurrentChanged(project);
+
+          const taskInfo = await getTaskInfo(project, taskDirName);
+          return {
+            content: [{
+              type: 'text',
+              text: JSON.stringify({ ...taskInfo, ...await getTaskHierarchy(project, taskDirName) }, null, 2)
+            }]
+          };
+        }
+
+        case 'finish_subtask': {
+          const { summary } = args;
+          if (summary !== undefined && typeof summary !== 'string') {
+            throw new Error('summary must be a string');
+          }
+          const { status } = validateTaskMetaChanges({ status: args.status ?? 'done' });
+
+          const taskDir = await resolveTaskDir(project, args.task, session);
+          const { parent } = await readTaskMeta(project, taskDir);
+          if (parent && summary !== undefined) {
+            await ensureTaskWritable(project, parent, session);
+          }
+          const { parentDir, summaryFile, wasCurrent } = await finishSubtask(project, taskDir, { status, summary, session });
+          await this.notifyTaskChanged(project, taskDir, { session });
+          await this.notifyTaskChanged(project, parentDir, { session, files: summaryFile ? [summaryFile] : [], listChanged: Boolean(summaryFile) });
+          if (wasCurrent) {
+            await this.notifyCurrentChanged(project);
+          }
+
+          const taskInfo = await getTaskInfo(project, parentDir);
+          return {
+            content: [{
+              type: 'text',
+              text: JSON.stringify({
+                finished_task: taskDir,
+                status,
+                summary_report: summaryFile && displayPath(project, parentDir, summaryFile),
+                returned_to_parent: wasCurrent,
+                parent_task: { ...taskInfo, ...await getTaskHierarchy(project, parentDir) }
+              }, null, 2)
+            }]
+          };
+        }
+
+        case 'switch_task': {
+          const { task_slug } = args;
+          if (!task_slug) {
+            throw new Error('task_slug is required');
+          }
+
+          // A lookup, not a new path: resolveTaskRef only matches existing directories,
+          // including ones named before slugs were normalized
+          const taskDir = await resolveTaskRef(project, task_slug);
+          await updateCurrentPointer(project, taskDir, session);
+          await this.notifyCurrentChanged(project);
+          const taskInfo = await getTaskInfo(project, taskDir);
+
+          return {
+            content: [{
+              type: 'text',
+              text: JSON.stringify(taskInfo, null, 2)
+            }]
+          };
+        }
+
+        case 'list_recent_tasks': {
+          const recentDirs = await getRecentTaskDirs(project);
+          const slugs = recentDirs.map(dirName => {
+            const parsed = parseTaskDirName(dirName);
+            return parsed ? parsed.slug : null;
+          }).filter(Boolean);
+
+          const currentTaskDir = await getCurrentTaskDir(project, session);
+          const recentTasks = [];
+          for (const dirName of recentDirs) {
+            recentTasks.push(await describeTask(project, dirName, currentTaskDir));
+          }
+
+          return {
+            content: [{
+              type: 'text',
+              text: JSON.stringify({ recent_task_slugs: slugs, recent_tasks: recentTasks }, null, 2)
+            }]
+          };
+        }
+
+        case 'search_reports': {
+          const { query, regex, case_sensitive, since, until, task, max_results, context_lines } = args;
+          if (!query) {
+            throw new Error('query is required');
+          }
+          if (typeof query !== 'string') {
+            throw new Error('query must be a string');
+          }
+
+          const result = await searchReports(project, {
+            query,
+            regex,
+            caseSensitive: case_sensitive,
+            since,
+            until,
+            task,
+            maxResults: max_results ?? SEARCH_MAX_RESULTS,
+            contextLines: context_lines ?? SEARCH_CONTEXT_LINES
+          });
+
+          return {
+            content: [{
+              type: 'text',
+              text: JSON.stringify(result, null, 2)
+            }]
+          };
+        }
+
+        case 'reindex': {
+          if (!project.config.searchIndex) {
+            throw new Error(`Search index is disabled for project ${project.name}; set "searchIndex": true in ${CONFIG_FILE_NAME}`);
+          }
+
+          const startTime = Date.now();
+          const index = await rebuildSearchIndex(project);
+
+          return {
+            content: [{
+              type: 'text',
+              text: JSON.stringify({
+                indexed_reports: index.reports.size,
+                indexed_words: index.postings.size,
+                duration_ms: Date.now() - startTime
+              }, null, 2)
+            }]
+          };
+        }
+
+        case 'rename_task': {
+          const { new_slug } = args;
+          if (!new_slug) {
+            throw new Error('new_slug is required');
+          }
+          validateSlug(new_slug, 'new_slug');
+
+          const taskDir = await resolveTaskDir(project, args.task, session);
+          const newTaskDir = await renameTask(project, taskDir, new_slug, { session });
+          await this.notifyCurrentChanged(project);
+          const taskInfo = await getTaskInfo(project, newTaskDir);
+
+          return {
+            content: [{
+              type: 'text',
+              text: JSON.stringify(taskInfo, null, 2)
+            }]
+          };
+        }
+
+        case 'archive_task': {
+          const { task, restore } = args;
+          if (restore && !task) {
+            throw new Error('task is required to restore an archived task');
+          }
+
+          const taskDir = restore
+            ? await resolveTaskRef(project, task, { archived: true })
+            : await resolveTaskDir(project, task, session);
+          const { taskPath, wasCurrent } = await archiveTask(project, taskDir, { restore, session });
+          await this.notifyCurrentChanged(project);
+
+          return {
+            content: [{
+              type: 'text',
+              text: JSON.stringify({
+                [restore ? 'restored_task' : 'archived_task']: taskDir,
+                reports_dir: displayPath(project, taskPath),
+                was_current: wasCurrent
+              }, null, 2)
+            }]
+          };
+        }
+
+        case 'delete_task': {
+          const { task, force } = args;
+          if (!task) {
+            throw new Error('task is required');
+          }
+
+          // Deleting is recursive, so no prefix or word matching here
+          const taskDir = await resolveTaskRef(project, task, { exact: true });
+          const { wasCurrent, deletedFiles } = await deleteTask(project, taskDir, { force, session });
+          await this.notifyCurrentChanged(project);
+
+          return {
+            content: [{
+              type: 'text',
+              text: JSON.stringify({
+                deleted_task: taskDir,
+                deleted_files: deletedFiles,
+                was_current: wasCurrent
+              }, null, 2)
+            }]
+          };
+        }
+
+        case 'renumber_reports': {
+          const { mode, file, position, after, suffix, content, width, dry_run } = args;
+          if (!mode) {
+            throw new Error('mode is required');
+          }
+
+          const taskDir = await resolveTaskDir(project, args.task, session);
+          const result = await renumberReports(project, taskDir, {
+            mode, file, position, after, suffix, content, width, dryRun: dry_run, session
+          });
+          if (!dry_run) {
+            if (project.config.searchIndex) {
+              await refreshSearchIndex(project);
+            }
+            const files = [...result.renames.map(rename => rename.to), ...result.updated_links.map(update => update.file)];
+            await this.notifyTaskChanged(project, taskDir, { session, files, listChanged: true });
+          }
+
+          return {
+            content: [{
+              type: 'text',
+              text: JSON.stringify(result, null, 2)
+            }]
+          };
+        }
+
+        case 'list_tasks': {
+          const { since, until, status, tags, sort, limit, cursor, include_archived } = args;
+          const result = await listTasks(project, {
+            since, until, status, tags, sort, limit, cursor, includeArchived: include_archived, session
+          });
+
+          return {
+            content: [{
+              type: 'text',
+              text: JSON.stringify(result, null, 2)
+            }]
+          };
+        }
+
+        case 'update_task': {
+          const taskDir = await resolveTaskDir(project, args.task, session);
+          const changes = validateTaskMetaChanges(args);
+          if (args.parent !== undefined) {
+            changes.parent = args.parent === null ? null : await resolveTaskDir(project, args.parent, session);
+            if (changes.parent === taskDir) {
+              throw new Error('A task cannot be its own parent');
+            }
+          }
+
+          await updateTaskMeta(project, taskDir, changes, { checkClaim: true, session });
+          await this.notifyTaskChanged(project, taskDir, { session });
+          const taskInfo = await getTaskInfo(project, taskDir);
+
+          return {
+            content: [{
+              type: 'text',
+              text: JSON.stringify(taskInfo, null, 2)
+            }]
+          };
+        }
+
+        case 'set_task_status': {
+          const { status } = args;
+          if (!status) {
+            throw new Error('status is required');
+          }
+
+          const taskDir = await resolveTaskDir(project, args.task, session);
+          await updateTaskMeta(project, taskDir, validateTaskMetaChanges({ status }), { checkClaim: true, session });
+          await this.notifyTaskChanged(project, taskDir, { session });
+          const taskInfo = await getTaskInfo(project, taskDir);
+
+          return {
+            content: [{
+              type: 'text',
+              text: JSON.stringify(taskInfo, null, 2)
+            }]
+          };
+        }
+
+        case 'start_new_report_file': {
+          const { suffix } = args;
+          if (!suffix) {
+            throw new Error('suffix is required');
+          }
+          validateSlug(suffix, 'suffix');
+
+          const taskDir = await getCurrentTaskDir(project, session);
+          if (!taskDir) {
+            throw new Error('No current task');
+          }
+
+          const fileName = await reserveReportFile(project, taskDir, suffix, { session });
+          const filePath = displayPath(project, taskDir, fileName);
+          await this.notifyTaskChanged(project, taskDir, { session, files: [fileName], listChanged: true });
+
+          return {
+            content: [{
+              type: 'text',
+              text: JSON.stringify({ report_file_to_create: filePath }, null, 2)
+            }]
+          };
+        }
+
+        case 'write_report': {
+          const { suffix, content } = args;
+          if (!suffix) {
+            throw new Error('suffix is required');
+          }
+          validateSlug(suffix, 'suffix');
+          if (typeof content !== 'string') {
+            throw new Error('content is required');
+          }
+
+          const taskDir = await getCurrentTaskDir(project, session);
+          if (!taskDir) {
+            throw new Error('No current task');
+          }
+
+          const fileName = await reserveReportFile(project, taskDir, suffix, { session, content });
+          await this.notifyTaskChanged(project, taskDir, { session, files: [fileName], listChanged: true });
+
+          return {
+            content: [{
+              type: 'text',
+              text: JSON.stringify({
+                report_file: displayPath(project, taskDir, fileName),
+                bytes_written: Buffer.byteLength(content)
+              }, null, 2)
+            }]
+          };
+        }
+
+        case 'append_to_report': {
+          const { file, content } = args;
+          if (!file) {
+            throw new Error('file is required');
+          }
+          if (typeof content !== 'string') {
+            throw new Error('content is required');
+          }
+
+          const taskDir = await getCurrentTaskDir(project, session);
+          if (!taskDir) {
+            throw new Error('No current task');
+          }
+
+          const fileName = resolveReportFileName(project, taskDir, file);
+          const fullPath = path.join(project.tasksDir, taskDir, fileName);
+          try {
+            await project.fs.access(fullPath);
+          } catch (error) {
+            throw new Error(`Report not found: ${fileName}`);
+          }
+
+          await withTaskLock(project, taskDir, async () => {
+            await ensureTaskWritable(project, taskDir, session);
+            await project.fs.appendFile(fullPath, content);
+          });
+          await indexReport(project, taskDir, fileName);
+          await this.notifyTaskChanged(project, taskDir, { session, files: [fileName] });
+          const stat = await project.fs.stat(fullPath);
+
+          return {
+            content: [{
+              type: 'text',
+              text: JSON.stringify({
+                report_file: displayPath(project, taskDir, fileName),
+                bytes_written: Buffer.byteLength(content),
+                size: stat.size
+              }, null, 2)
+            }]
+          };
+        }
+
+        case 'read_report': {
+          const { file, task } = args;
+          if (!file) {
+            throw new Error('file is required');
+          }
+
+          const taskDir = await resolveTaskDir(project, task, session);
+          const fileName = resolveReportFileName(project, taskDir, file);
+          let content;
+          try {
+            content = await project.fs.readFile(path.join(project.tasksDir, taskDir, fileName), 'utf8');
+          } catch (error) {
+            throw new Error(`Report not found: ${fileName}`);
+          }
+
+          return {
+            content: [{
+              type: 'text',
+              text: JSON.stringify({
+                report_file: displayPath(project, taskDir, fileName),
+                content
+              }, null, 2)
+            }]
+          };
+        }
+
+        case 'read_task_digest': {
+          const { task, lines, max_bytes } = args;
+          const taskDir = await resolveTaskDir(project, task, session);
+          const digest = await getTaskDigest(project, taskDir, {
+            lines: lines ?? DIGEST_LINES,
+            maxBytes: max_bytes ?? DIGEST_MAX_BYTES
+          });
+
+          return {
+            content: [{
+              type: 'text',
+              text: JSON.stringify({ task_slug: parseTaskDirName(taskDir).slug, ...digest }, null, 2)
+            }]
+          };
+        }
+
+        case 'list_templates': {
+          const templates = [];
+          for (const templateName of await listTemplateNames(project)) {
+            const template = await loadTemplate(project, templateName);
+            templates.push({
+              name: template.name,
+              description: template.description,
+              report_file_names: template.reports.map(report => report.fileName)
+            });
+          }
+
+          return {
+            content: [{
+              type: 'text',
+              text: JSON.stringify({
+                templates_dir: displayPath(project, path.relative(project.tasksDir, project.templatesDir)),
+                templates
+              }, null, 2)
+            }]
+          };
+        }
+
+        case 'claim_task': {
+          const taskDir = await resolveTaskDir(project, args.task, session);
+          const claim = await claimTask(project, taskDir, session, { leaseMinutes: args.lease_minutes ?? CLAIM_LEASE_MINUTES });
+          await this.notifyTaskChanged(project, taskDir, { session });
+
+          return {
+            content: [{
+              type: 'text',
+              text: JSON.stringify({ task_dir: taskDir, claimed_by: claim.owner, claimed_since: claim.claimed, claimed_until: claim.expires }, null, 2)
+            }]
+          };
+        }
+
+        case 'release_task': {
+          const taskDir = await resolveTaskDir(project, args.task, session);
+          const claim = await releaseTask(project, taskDir, session, { force: args.force === true });
+          if (claim) {
+            await this.notifyTaskChanged(project, taskDir, { session });
+          }
+
+          return {
+            content: [{
+              type: 'text',
+              text: JSON.stringify({ task_dir: taskDir, released: Boolean(claim), ...(claim && { claimed_by: claim.owner }) }, null, 2)
+            }]
+          };
+        }
+
+        case 'list_sessions': {
+          return {
+            content: [{
+              type: 'text',
+              text: JSON.stringify({
+                your_session: session,
+                global_current_task: await getCurrentTaskDir(project),
+                sessions: await listSessions(project)
+              }, null, 2)
+            }]
+          };
+        }
+
+        case 'list_projects': {
+          const projectList = [];
+          for (const known of this.projects.values()) {
+            projectList.push({
+              name: known.name,
+              root_dir: known.rootDir,
+              tasks_dir: known.tasksDir,
+              current_task: await getCurrentTaskDir(known, session),
+              is_default: known === this.defaultProject
+            });
+          }
+
+          return {
+            content: [{
+              type: 'text',
+              text: JSON.stringify({ projects: projectList }, null, 2)
+            }]
+          };
+        }
+
+        default:
+          throw new Error(`Unknown tool: ${name}`);
+      }
+    } catch (error) {
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify({ error: error.message, ...error.details }, null, 2)
+        }],
+        isError: true
+      };
+    }
+  }
+
+  // List the resources of the default project: the current task, every task, and the reports of the
+  // current task (of the session, if given); reports of other tasks are reachable through the resource templates
+  async listResources({ session } = {}) {
+    const project = this.defaultProject;
+    const currentTaskDir = await getCurrentTaskDir(project, session);
+    const resources = [{
+      uri: CURRENT_TASK_URI,
+      name: 'current',
+      description: 'Current task: report list and metadata',
+      mimeType: 'application/json'
+    }];
+
+    for (const taskDir of (await getAllTaskDirs(project)).reverse()) {
+      resources.push({
+        uri: this.resourceUri(project, taskDir),
+        name: taskDir,
+        mimeType: 'application/json'
+      });
+    }
+    if (currentTaskDir) {
+      for (const fileName of await listReportFiles(project, currentTaskDir)) {
+        resources.push({
+          uri: this.resourceUri(project, currentTaskDir, fileName),
+          name: `${currentTaskDir}/${fileName}`,
+          mimeType: project.config.reportExtension === '.md' ? 'text/markdown' : 'text/plain'
+        });
+      }
+    }
+    return { resources };
+  }
+
+  listResourceTemplates() {
+    return { resourceTemplates: RESOURCE_TEMPLATES };
+  }
+
+  // Read a bureau:// resource: a task (report list and metadata) or a report
+  async readResource(uri, { session } = {}) {
+    const { projectRef, current, taskRef, file } = parseResourceUri(uri);
+    const project = await this.getProject(projectRef);
+    const taskDir = current ? await getCurrentTaskDir(project, session) : await resolveTaskRef(project, taskRef);
+    if (!file) {
+      const taskInfo = await getTaskInfo(project, taskDir);
+      const text = taskInfo
+        ? JSON.stringify({ task_dir: taskDir, ...taskInfo, ...await getTaskHierarchy(project, taskDir) }, null, 2)
+        : JSON.stringify({ error: 'No current task' }, null, 2);
+      return { contents: [{ uri, mimeType: 'application/json', text }] };
+    }
+
+    const fileName = resolveReportFileName(project, taskDir, file);
+    let text;
+    try {
+      text = await project.fs.readFile(path.join(project.tasksDir, taskDir, fileName), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`Report not found: ${file}`);
+      }
+      throw error;
+    }
+    return {
+      contents: [{
+        uri,
+        mimeType: project.config.reportExtension === '.md' ? 'text/markdown' : 'text/plain',
+        text
+      }]
+    };
+  }
+
+  listPrompts() {
+    return { prompts: PROMPTS };
+  }
+
+  // Build the messages of a prompt, for the current task of the session, if given
+  async getPrompt(name, args = {}, { session } = {}) {
+    if (!PROMPTS.some(prompt => prompt.name === name)) {
+      throw new Error(`Unknown prompt: ${name}`);
+    }
+    const project = await this.getProject(args.project);
+    const userMessage = text => ({ role: 'user', content: { type: 'text', text } });
+
+    switch (name) {
+      case 'resume_current_task': {
+        const taskDir = await getCurrentTaskDir(project, session);
+        const taskInfo = await getTaskInfo(project, taskDir);
+        if (!taskInfo) {
+          throw new Error('No current task: start one with start_new_task or pick one with switch_task');
+        }
+
+        const messages = [userMessage([
+          'Resume work on the current Bureau task.',
+          '',
+          describeTaskForPrompt(taskInfo),
+          '',
+          'Read the reports you need with read_report (or read_task_digest for an overview), then continue where the work stopped. ' +
+          'Record progress and findings with write_report; do not edit the earlier reports unless asked.'
+        ].join('\n'))];
+
+        const reportFiles = await listReportFiles(project, taskDir);
+        const latest = reportFiles[reportFiles.length - 1];
+        if (latest) {
+          messages.push({
+            role: 'user',
+            content: {
+              type: 'resource',
+              resource: {
+                uri: this.resourceUri(project, taskDir, latest),
+                mimeType: project.config.reportExtension === '.md' ? 'text/markdown' : 'text/plain',
+                text: await project.fs.readFile(path.join(project.tasksDir, taskDir, latest), 'utf8')
+              }
+            }
+          });
+        }
+        return { description: `Resume ${taskDir}`, messages };
+      }
+
+      case 'start_task_from_request': {
+        if (!args.request) {
+          throw new Error('request is required');
+        }
+        const taskSlug = args.task_slug ? validateSlug(args.task_slug, 'task_slug') : null;
+        const slugText = taskSlug ? `task_slug "${taskSlug}"` : 'a short kebab-case task_slug that names the request';
+        // A template seeds its own reports, and takes the request as an argument
+        const steps = args.template
+          ? [
+            `1. Call start_new_task with ${slugText}, template "${validateSlug(args.template, 'template')}" and the user request below as request.`,
+            '2. Read the reports the template created and fill them in, in order, as you investigate and plan.'
+          ]
+          : [
+            `1. Call start_new_task with ${slugText}.`,
+            '2. Save the request verbatim with write_report, suffix "user-request".',
+            '3. Investigate, then write your plan with write_report, suffix "plan".'
+          ];
+
+        return {
+          description: 'Start a task from a user request',
+          messages: [userMessage([
+            'Handle the user request below as a new Bureau task:',
+            '',
+            ...steps,
+            `${steps.length + 1}. Work through the plan, filing a report for each significant step or finding.`,
+            '',
+            'User request:',
+            '',
+            args.request
+          ].join('\n'))]
+        };
+      }
+
+      case 'write_handoff_report': {
+        const taskInfo = await getTaskInfo(project, await getCurrentTaskDir(project, session));
+        if (!taskInfo) {
+          throw new Error('No current task to hand off');
+        }
+
+        return {
+          description: `Hand off ${taskInfo.task_slug}`,
+          messages: [userMessage([
+            'Write a handoff report for the current Bureau task, so that someone without your context can continue it.',
+            '',
+            describeTaskForPrompt(taskInfo),
+            '',
+            'Call write_report with suffix "handoff" and cover: the goal, what is done (pointing to the reports above), ' +
+            'the current state of the code, open questions and decisions, and the concrete next steps.',
+            ...(args.notes ? ['', `Make sure to mention: ${args.notes}`] : [])
+          ].join('\n'))]
+        };
+      }
+    }
+  }
+
+  // Forget a session's own current task in every project, e.g. when its connection closes
+  async endSession(session) {
+    for (const project of this.projects.values()) {
+      await removeSession(project, session);
+    }
+  }
+
+  // Watch a project's tasks dir for changes made outside this instance (humans in an editor,
+  // other Bureau processes): drop cached state and emit change events. Uses fs.watch, or polling when
+  // mode is 'poll', the project is not on the real filesystem, or fs.watch is unavailable or fails.
+  // Returns a function that stops watching.
+  async watchProject(project, mode) {
+    // Watching needs the tasks dir to exist; projects loaded on demand are never watched
+    await project.fs.mkdir(project.tasksDir, { recursive: true });
+    let snapshot = await snapshotTasks(project);
+    let scanning = false;
+    let pending = false;
+
+    const scan = async () => {
+      if (scanning) {
+        pending = true;
+        return;
+      }
+      scanning = true;
+      try {
+        do {
+          pending = false;
+          const next = await snapshotTasks(project);
+          const changes = diffSnapshots(snapshot, next);
+          snapshot = next;
+          if (!changes.currentChanged && !changes.listChanged && changes.tasks.length === 0) continue;
+
+          // The in-memory search index is reloaded (and re-verified against the files) on next use
+          project.searchIndex = null;
+          for (const { taskDir, files, listChanged } of changes.tasks) {
+            await this.notifyTaskChanged(project, taskDir, { files, listChanged });
+          }
+          if (changes.currentChanged) {
+            await this.notifyCurrentChanged(project);
+          } else if (changes.listChanged) {
+            this.emit('resourceListChanged');
+          }
+        } while (pending);
+      } catch (error) {
+        console.error(`Bureau watcher for ${project.name}: ${error.message}`);
+      } finally {
+        scanning = false;
+      }
+    };
+
+    const startPolling = () => {
+      const timer = setInterval(scan, project.config.watchInterval);
+      timer.unref();
+      return () => clearInterval(timer);
+    };
+    if (mode === 'poll' || project.fs !== nodeFs) {
+      return startPolling();
+    }
+
+    let stop;
+    let debounce = null;
+    const watchers = [];
+    const closeWatchers = () => {
+      clearTimeout(debounce);
+      watchers.forEach(watcher => watcher.close());
+    };
+    try {
+      // The recursive watcher can hold back events for the current symlink (seen on Linux);
+      // a plain watcher on the tasks dir itself reports those right away
+      for (const recursive of [true, false]) {
+        const watcher = watch(project.tasksDir, { recursive }, () => {
+          clearTimeout(debounce);
+          debounce = setTimeout(scan, WATCH_DEBOUNCE_MS);
+        });
+        watcher.unref();
+        watcher.on('error', error => {
+          if (watchers.length === 0) return; // The other watcher already switched to polling
+          console.error(`Bureau watcher for ${project.name}: ${error.message}; polling instead`);
+          closeWatchers();
+          watchers.length = 0;
+          stop = startPolling();
+        });
+        watchers.push(watcher);
+      }
+      stop = closeWatchers;
+    } catch (error) {
+      // No tasks dir yet, or no (recursive) fs.watch on this platform
+      closeWatchers();
+      stop = startPolling();
+    }
+    return () => stop();
+  }
+}
+
+// Bureau is the API for embedding; the utilities work on a single project (see createProject)
+export {
+  Bureau,
+  CURRENT_TASK_URI,
+  DEFAULT_CONFIG,
+  DEFAULT_TASK_META,
+  addDays,
+  archiveTask,
+  claimTask,
+  clearCurrentPointer,
+  createProject,
+  deleteTask,
+  describeTaskForPrompt,
+  diffSnapshots,
+  expandTemplate,
+  findIndexCandidates,
+  findNextReportNumber,
+  findNextTaskDirName,
+  findProjectRoot,
+  findTaskDirs,
+  finishSubtask,
+  getAllTaskDirs,
+  getCurrentTaskDir,
+  getDateSuffix,
+  getRecentTaskDirs,
+  getReportFiles,
+  getReportTitle,
+  getTaskDate,
+  getTaskDigest,
+  getTaskHierarchy,
+  getTaskInfo,
+  listReportFiles,
+  listSessions,
+  listTasks,
+  listTemplateNames,
+  loadConfig,
+  loadTemplate,
+  normalizeSlug,
+  parseResourceUri,
+  parseTaskDirName,
+  readCurrentPointers,
+  readSessionPointer,
+  readTaskClaim,
+  readTaskMeta,
+  refreshSearchIndex,
+  releaseTask,
+  removeSession,
+  renameTask,
+  renumberReports,
+  replaceReportLinks,
+  reserveReportFile,
+  resolveReportFileName,
+  resolveTaskRef,
+  searchReports,
+  snapshotTasks,
+  substituteTemplateVars,
+  tokenize,
+  toolError,
+  updateCurrentPointer,
+  updateTaskMeta,
+  validateSessionId,
+  validateSlug,
+  validateTaskMetaChanges,
+  withTaskLock
+};
@@ -0,0 +1,259 @@
+import { spawn } from 'child_process';
+import { toolError } from './bureau.js';
+
+// Flags that never take the next argument as their value
+const BOOLEAN_FLAGS = ['watch', 'help', 'json', 'all', 'regex', 'case-sensitive', 'no-edit', 'force'];
+
+// Utility: Parse --name value / --name=value flags; everything else is positional
+function parseFlags(argv, booleans = BOOLEAN_FLAGS) {
+  const flags = {};
+  const positionals = [];
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      positionals.push(arg);
+      continue;
+    }
+    const eq = arg.indexOf('=');
+    let name, value;
+    if (eq >= 0) {
+      name = arg.slice(2, eq);
+      value = arg.slice(eq + 1);
+    } else if (!booleans.includes(arg.slice(2)) && i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+      name = arg.slice(2);
+      value = argv[++i];
+    } else {
+      name = arg.slice(2);
+      value = true;
+    }
+    // Repeated flags collect into an array
+    flags[name] = name in flags ? [].concat(flags[name], value) : value;
+  }
+  return { flags, positionals };
+}
+
+// CLI: human-facing subcommands, run through the same tools as MCP clients use
+const CLI_USAGE = `Usage: bureau-mcp [command] [options]
+
+Without a command, runs the MCP server on stdio, or with --port <port> or --socket <path> on
+HTTP at 127.0.0.1 (--token <token> or BUREAU_TOKEN requires a bearer token).
+
+Commands:
+  new <slug>            Start a new task (--title, --tag, --template, --request)
+  switch <task>         Switch to a task by directory name, slug or slug words
+  ls                    List tasks, newest first (--all, --status, --tag, --since, --until, --limit)
+  current               Show the current task and its reports
+  report <suffix>       Reserve the next report in the current task and open it in $VISUAL / $EDITOR
+                        (--no-edit only prints the path; with piped input, writes it as the report)
+  search <query>        Search reports (--regex, --case-sensitive, --since, --until, --task, --limit)
+  sessions              List the agent sessions with their own current task
+  claim [task]          Claim a task (default: the current one) for --session (--lease <minutes>)
+  release [task]        Release a claim (--force releases another session's claim)
+
+Options:
+  --root <path>, --tasks-dir <path>   Choose the project, as for the server
+  --session <id>                      Use (and switch) the current task of an agent session
+  --json                              Print the raw tool result`;
+
+// Utility: Print task info the way current_task returns it
+function printTaskInfo(taskInfo) {
+  console.log(`${taskInfo.task_slug}${taskInfo.title ? ` - ${taskInfo.title}` : ''} [${taskInfo.status}]`);
+  console.log(`  ${taskInfo.reports_dir}`);
+  if (taskInfo.parent) {
+    console.log(`  parent: ${taskInfo.parent}`);
+  }
+  if (taskInfo.claimed_by) {
+    console.log(`  claimed by ${taskInfo.claimed_by} until ${taskInfo.claimed_until}`);
+  }
+  for (const fileName of taskInfo.report_file_names) {
+    console.log(`  ${fileName}`);
+  }
+}
+
+// Utility: Open a file in the user's editor and wait for it to close
+function openInEditor(file) {
+  const editor = process.env.VISUAL || process.env.EDITOR;
+  if (!editor) {
+    console.log(file);
+    console.error('Set $VISUAL or $EDITOR to open new reports in an editor');
+    return Promise.resolve();
+  }
+  const [command, ...editorArgs] = editor.split(/\s+/);
+  return new Promise((resolve, reject) => {
+    spawn(command, [...editorArgs, file], { stdio: 'inherit' })
+      .on('error', reject)
+      .on('exit', resolve);
+  });
+}
+
+// Utility: Read all of a stream, e.g. stdin
+async function readStream(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+// Utility: Run a CLI command, returning the process exit code
+async function runCli(bureau, [command, ...positionals], flags, { session, stdin = process.stdin } = {}) {
+  const run = async (toolName, args) => {
+    const result = await bureau.callTool(toolName, args, { session });
+    const data = JSON.parse(result.content[0].text);
+    if (result.isError) {
+      throw toolError(data.error, data);
+    }
+    if (flags.json) {
+      console.log(JSON.stringify(data, null, 2));
+    }
+    return data;
+  };
+  const limit = flags.limit === undefined ? undefined : parseInt(flags.limit, 10);
+
+  try {
+    switch (command) {
+      case 'new': {
+        if (positionals.length !== 1) throw new Error('Usage: bureau-mcp new <slug>');
+        const taskInfo = await run('start_new_task', {
+          task_slug: positionals[0],
+          title: flags.title,
+          tags: flags.tag === undefined ? undefined : [].concat(flags.tag),
+          template: flags.template,
+          request: flags.request
+        });
+        if (!flags.json) printTaskInfo(taskInfo);
+        break;
+      }
+
+      case 'switch': {
+        if (positionals.length !== 1) throw new Error('Usage: bureau-mcp switch <task>');
+        const taskInfo = await run('switch_task', { task_slug: positionals[0] });
+        if (!flags.json) printTaskInfo(taskInfo);
+        break;
+      }
+
+      case 'ls': {
+        const result = await run('list_tasks', {
+          include_archived: flags.all === true,
+          status: flags.status,
+          tags: flags.tag === undefined ? undefined : [].concat(flags.tag),
+          since: flags.since,
+          until: flags.until,
+          limit
+        });
+        if (flags.json) break;
+        for (const task of result.tasks) {
+          const reports = `${task.report_count} report${task.report_count === 1 ? '' : 's'}`;
+          console.log(`${task.is_current ? '*' : ' '} ${task.task_dir}  [${task.status}]  ${reports}${task.title ? `  ${task.title}` : ''}`);
+        }
+        if (result.next_cursor) {
+          console.log(`  ... ${result.total - result.tasks.length} more (use --limit)`);
+        }
+        break;
+      }
+
+      case 'current': {
+        const result = await bureau.callTool('current_task', {}, { session });
+        const taskInfo = JSON.parse(result.content[0].text);
+        if (flags.json) {
+          console.log(JSON.stringify(taskInfo, null, 2));
+        } else if (taskInfo.error) {
+          console.log('No current task');
+        } else {
+          printTaskInfo(taskInfo);
+        }
+        break;
+      }
+
+      case 'report': {
+        if (positionals.length !== 1) throw new Error('Usage: bureau-mcp report <suffix>');
+        const [suffix] = positionals;
+        // --no-edit wins over piped input, so scripts with stdin closed or redirected
+        // get the path rather than an empty report
+        if (!flags['no-edit'] && !stdin.isTTY) {
+          const result = await run('write_report', { suffix, content: await readStream(stdin) });
+          if (!flags.json) console.log(result.report_file);
+          break;
+        }
+        const { report_file_to_create: file } = await run('start_new_report_file', { suffix });
+        if (flags['no-edit'] || flags.json) {
+          if (!flags.json) console.log(file);
+          break;
+        }
+        await openInEditor(file);
+        break;
+      }
+
+      case 'search': {
+        if (positionals.length === 0) throw new Error('Usage: bureau-mcp search <query>');
+        const result = await run('search_reports', {
+          query: positionals.join(' '),
+          regex: flags.regex === true,
+          case_sensitive: flags['case-sensitive'] === true,
+          since: flags.since,
+          until: flags.until,
+          task: flags.task,
+          max_results: limit
+        });
+        if (flags.json) break;
+        for (const match of result.matches) {
+          if (match.match_in === 'filename') {
+            console.log(match.report_file);
+          } else {
+            console.log(`${match.report_file}:${match.line}:`);
+            console.log(match.snippet.replace(/^/gm, '    '));
+          }
+        }
+        if (result.truncated) {
+          console.log(`(more matches not shown; use --limit)`);
+        }
+        break;
+      }
+
+      case 'sessions': {
+        const result = await run('list_sessions', {});
+        if (flags.json) break;
+        console.log(`  (global)  ${result.global_current_task ?? '-'}`);
+        for (const entry of result.sessions) {
+          console.log(`${entry.session_id === session ? '*' : ' '} ${entry.session_id}  ${entry.task_dir ?? '-'}  ${entry.updated ?? ''}`);
+        }
+        break;
+      }
+
+      case 'claim': {
+        if (positionals.length > 1) throw new Error('Usage: bureau-mcp claim [task]');
+        const result = await run('claim_task', {
+          task: positionals[0],
+          lease_minutes: flags.lease === undefined ? undefined : Number(flags.lease)
+        });
+        if (!flags.json) console.log(`${result.task_dir} claimed by ${result.claimed_by} until ${result.claimed_until}`);
+        break;
+      }
+
+      case 'release': {
+        if (positionals.length > 1) throw new Error('Usage: bureau-mcp release [task]');
+        const result = await run('release_task', { task: positionals[0], force: flags.force === true });
+        if (!flags.json) console.log(result.released ? `${result.task_dir} released` : `${result.task_dir} was not claimed`);
+        break;
+      }
+
+      case 'help': {
+        console.log(CLI_USAGE);
+        break;
+      }
+
+      default:
+        console.error(`Unknown command: ${command}\n\n${CLI_USAGE}`);
+        return 2;
+    }
+    return 0;
+  } catch (error) {
+    console.error(`bureau-mcp: ${error.message}`);
+    for (const candidate of error.details?.candidates || []) {
+      console.error(`  ${candidate.task_dir}  [${candidate.status}]${candidate.title ? `  ${candidate.title}` : ''}`);
+    }
+    return 1;
+  }
+}
+
+export { parseFlags, runCli };
@@ -0,0 +1,334 @@
+import { randomUUID, timingSafeEqual } from 'crypto';
+import { unlink } from 'fs/promises';
+import http from 'http';
+import net from 'net';
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import {
+  CallToolRequestSchema,
+  ErrorCode,
+  GetPromptRequestSchema,
+  ListPromptsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ListToolsRequestSchema,
+  McpError,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema
+} from '@modelcontextprotocol/sdk/types.js';
+import { parseResourceUri, validateSessionId } from './bureau.js';
+
+// The HTTP server only listens on the loopback interface
+const HTTP_HOST = '127.0.0.1';
+// Streamable HTTP sessions without an open request for this long are closed
+const SESSION_IDLE_TIMEOUT_MS = 30 * 60 * 1000;
+
+// Utility: Send a notification, ignoring clients that are gone or not connected yet
+async function sendNotification(send) {
+  try {
+    await send();
+  } catch (error) {
+    // Nobody to notify
+  }
+}
+
+// Utility: Run a request handler, reporting failures as invalid params
+async function invalidParams(handler) {
+  try {
+    return await handler();
+  } catch (error) {
+    if (error instanceof McpError) throw error;
+    throw new McpError(ErrorCode.InvalidParams, error.message, error.details);
+  }
+}
+
+// Create an MCP server for a Bureau; connect it to a transport to serve a client. Requests use the
+// session id of the transport, if it has one, or else the given session, to keep their own current task.
+function createServer(bureau, { session } = {}) {
+  if (session) {
+    validateSessionId(session);
+  }
+  const server = new Server(
+    {
+      name: 'bureau-mcp',
+      version: '1.0.0'
+    },
+    {
+      capabilities: {
+        tools: {},
+        resources: { subscribe: true, listChanged: true },
+        prompts: {}
+      }
+    }
+  );
+
+  // Resource URIs the client subscribed to; only these get resources/updated notifications
+  const resourceSubscriptions = new Set();
+  const onResourceUpdated = uri => {
+    if (resourceSubscriptions.has(uri)) {
+      sendNotification(() => server.sendResourceUpdated({ uri }));
+    }
+  };
+  const onResourceListChanged = () => {
+    sendNotification(() => server.sendResourceListChanged());
+  };
+  bureau.on('resourceUpdated', onResourceUpdated);
+  bureau.on('resourceListChanged', onResourceListChanged);
+
+  // Transport sessions end with the connection, so their current tasks are forgotten on close
+  const transportSessions = new Set();
+  const context = extra => {
+    if (extra.sessionId) {
+      transportSessions.add(extra.sessionId);
+    }
+    return { session: extra.sessionId ?? session };
+  };
+
+  server.onclose = () => {
+    bureau.off('resourceUpdated', onResourceUpdated);
+    bureau.off('resourceListChanged', onResourceListChanged);
+    for (const transportSession of transportSessions) {
+      bureau.endSession(transportSession).catch(error => {
+        console.error(`Failed to end session ${transportSession}: ${error.message}`);
+      });
+    }
+  };
+
+  server.setRequestHandler(ListToolsRequestSchema, async () => {
+    return bureau.listTools();
+  });
+
+  server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+    const { name, arguments: args = {} } = request.params;
+    return bureau.callTool(name, args, context(extra));
+  });
+
+  server.setRequestHandler(ListResourcesRequestSchema, async (request, extra) => {
+    return bureau.listResources(context(extra));
+  });
+
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+    return bureau.listResourceTemplates();
+  });
+
+  server.setRequestHandler(ReadResourceRequestSchema, async (request, extra) => {
+    return invalidParams(() => bureau.readResource(request.params.uri, context(extra)));
+  });
+
+  server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+    await invalidParams(() => parseResourceUri(request.params.uri));
+    resourceSubscriptions.add(request.params.uri);
+    return {};
+  });
+
+  server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+    resourceSubscriptions.delete(request.params.uri);
+    return {};
+  });
+
+  server.setRequestHandler(ListPromptsRequestSchema, async () => {
+    return bureau.listPrompts();
+  });
+
+  server.setRequestHandler(GetPromptRequestSchema, async (request, extra) => {
+    const { name, arguments: args = {} } = request.params;
+    return invalidParams(() => bureau.getPrompt(name, args, context(extra)));
+  });
+
+  return server;
+}
+
+// Utility: Send an error for a request that no transport handles, in the shape transports use
+function sendHttpError(res, status, message, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify({ jsonrpc: '2.0', error: { code: -32000, message }, id: null }));
+}
+
+// Utility: Check the bearer token of an HTTP request, in constant time
+function hasBearerToken(req, token) {
+  const expected = Buffer.from(`Bearer ${token}`);
+  const actual = Buffer.from(req.headers.authorization || '');
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+}
+
+// Utility: Listen on a unix socket, replacing a socket file that a crashed server left behind
+async function listenOnSocket(httpServer, socket) {
+  const listen = () => new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(socket, () => {
+      httpServer.off('error', reject);
+      resolve();
+    });
+  });
+  try {
+    await listen();
+  } catch (error) {
+    if (error.code !== 'EADDRINUSE') throw error;
+    const alive = await new Promise(resolve => {
+      net.connect(socket)
+        .on('connect', function () {
+          this.end();
+          resolve(true);
+        })
+        .on('error', () => resolve(false));
+    });
+    if (alive) {
+      throw new Error(`Another server is listening on ${socket}`);
+    }
+    await unlink(socket);
+    await listen();
+  }
+}
+
+// Utility: Call onIdle once no request has been open for idleTimeoutMs; pass every response
+// to request(), and call stop() when there is nothing left to watch
+function watchIdle(idleTimeoutMs, onIdle) {
+  let openRequests = 0;
+  let timer = null;
+  return {
+    request(res) {
+      clearTimeout(timer);
+      openRequests++;
+      res.on('close', () => {
+        if (--openRequests === 0) {
+          timer = setTimeout(onIdle, idleTimeoutMs);
+          timer.unref();
+        }
+      });
+    },
+    stop() {
+      clearTimeout(timer);
+    }
+  };
+}
+
+// Serve MCP over HTTP on localhost, or on a unix socket: Streamable HTTP at /mcp, and the legacy
+// SSE transport at /sse (with messages posted to /messages). Every connection gets its own MCP server
+// on the shared Bureau, and its own session (see Bureau.callTool). With a token, requests must carry
+// it as a bearer token. Streamable HTTP clients should end their session with a DELETE; the sessions
+// of clients that go away without one are closed after idleTimeoutMs without an open request (a client
+// listening for notifications keeps a request open). Returns the URL clients connect to and a function
+// that stops the server.
+async function listenHttp(bureau, { port = 0, socket, token, idleTimeoutMs = SESSION_IDLE_TIMEOUT_MS } = {}) {
+  if (!socket && (!Number.isInteger(port) || port < 0 || port > 65535)) {
+    throw new Error(`Invalid port: ${port}`);
+  }
+
+  const streamableSessions = new Map(); // Session id => { transport, idle }
+  const sseTransports = new Map();
+  let allowedHosts = [];
+
+  // Every connection's MCP server listens for changes on the Bureau, so there can be any number of them
+  bureau.setMaxListeners(0);
+
+  const handleRequest = async (req, res) => {
+    // Browsers can be tricked into sending requests to localhost from other sites (DNS rebinding),
+    // but not with a matching Host header
+    if (!socket && !allowedHosts.includes(req.headers.host)) {
+      return sendHttpError(res, 403, `Invalid Host header: ${req.headers.host}`);
+    }
+    if (token && !hasBearerToken(req, token)) {
+      return sendHttpError(res, 401, 'Missing or invalid bearer token', { 'WWW-Authenticate': 'Bearer' });
+    }
+
+    const url = new URL(req.url, 'http://localhost');
+    switch (url.pathname) {
+      case '/mcp': {
+        const sessionId = req.headers['mcp-session-id'];
+        if (sessionId) {
+          const streamableSession = streamableSessions.get(sessionId);
+          if (!streamableSession) {
+            return sendHttpError(res, 404, `Session not found: ${sessionId}`);
+          }
+          streamableSession.idle.request(res);
+          return streamableSession.transport.handleRequest(req, res);
+        }
+
+        const transport = new StreamableHTTPServerTransport({
+          sessionIdGenerator: () => randomUUID(),
+          onsessioninitialized: id => streamableSessions.set(id, { transport, idle })
+        });
+        const idle = watchIdle(idleTimeoutMs, () => {
+          transport.close().catch(error => {
+            console.error(`Failed to close idle session ${transport.sessionId}: ${error.message}`);
+          });
+        });
+        transport.onclose = () => {
+          idle.stop();
+          streamableSessions.delete(transport.sessionId);
+        };
+        idle.request(res);
+        await createServer(bureau).connect(transport);
+        await transport.handleRequest(req, res);
+        if (!transport.sessionId) {
+          await transport.close(); // Not an initialize request, so no session to keep
+        }
+        return;
+      }
+
+      case '/sse': {
+        if (req.method !== 'GET') {
+          return sendHttpError(res, 405, 'Method not allowed', { Allow: 'GET' });
+        }
+        const transport = new SSEServerTransport('/messages', res);
+        sseTransports.set(transport.sessionId, transport);
+        transport.onclose = () => sseTransports.delete(transport.sessionId);
+        await createServer(bureau).connect(transport);
+        return;
+      }
+
+      case '/messages': {
+        if (req.method !== 'POST') {
+          return sendHttpError(res, 405, 'Method not allowed', { Allow: 'POST' });
+        }
+        const transport = sseTransports.get(url.searchParams.get('sessionId'));
+        if (!transport) {
+          return sendHttpError(res, 404, `Session not found: ${url.searchParams.get('sessionId')}`);
+        }
+        return transport.handlePostMessage(req, res);
+      }
+
+      default:
+        return sendHttpError(res, 404, `Not found: ${url.pathname}; MCP is served at /mcp (and /sse for the legacy SSE transport)`);
+    }
+  };
+
+  const httpServer = http.createServer((req, res) => {
+    handleRequest(req, res).catch(error => {
+      console.error(`Bureau HTTP request failed: ${error.message}`);
+      if (!res.headersSent) {
+        sendHttpError(res, 500, error.message);
+      } else {
+        res.end();
+      }
+    });
+  });
+
+  let url;
+  if (socket) {
+    await listenOnSocket(httpServer, socket);
+    url = `unix:${socket}`;
+  } else {
+    await new Promise((resolve, reject) => {
+      httpServer.once('error', reject);
+      httpServer.listen(port, HTTP_HOST, resolve);
+    });
+    const boundPort = httpServer.address().port;
+    allowedHosts = [`${HTTP_HOST}:${boundPort}`, `localhost:${boundPort}`];
+    url = `http://${HTTP_HOST}:${boundPort}/mcp`;
+  }
+
+  const close = async () => {
+    const streamableTransports = [...streamableSessions.values()].map(streamableSession => streamableSession.transport);
+    for (const transport of [...streamableTransports, ...sseTransports.values()]) {
+      await transport.close();
+    }
+    httpServer.closeAllConnections();
+    await new Promise(resolve => httpServer.close(resolve));
+  };
+  return { url, close };
+}
+
+export { createServer, listenHttp };
@@ -1,121 +1,106 @@
-import { test, describe, beforeEach, afterEach } from 'node:test';
+import { test, describe, beforeEach, afterEach, mock } from 'node:test';
 import assert from 'node:assert/strict';
-import { vol } from 'memfs';
-import fs from 'fs/promises';
-
-// Mock the fs module with memfs
-import { createFsFromVolume } from 'memfs';
+import { vol, createFsFromVolume } from 'memfs';
+import http from 'http';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { SSEClientTransport } from '@modelcontextprotocol/sdk/client/sse.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import {
+  ErrorCode,
+  ResourceListChangedNotificationSchema,
+  ResourceUpdatedNotificationSchema
+} from '@modelcontextprotocol/sdk/types.js';
+import { setTimeout as sleep } from 'timers/promises';
+import { Readable } from 'stream';
+import {
+  Bureau,
+  DEFAULT_CONFIG,
+  DEFAULT_TASK_META,
+  addDays,
+  archiveTask,
+  claimTask,
+  createProject,
+  deleteTask,
+  describeTaskForPrompt,
+  diffSnapshots,
+  expandTemplate,
+  findIndexCandidates,
+  findNextReportNumber,
+  findTaskDirs,
+  finishSubtask,
+  getAllTaskDirs,
+  getCurrentTaskDir,
+  getDateSuffix,
+  getRecentTaskDirs,
+  getReportFiles,
+  getReportTitle,
+  getTaskDate,
+  getTaskDigest,
+  getTaskHierarchy,
+  listSessions,
+  listTasks,
+  listTemplateNames,
+  loadConfig,
+  loadTemplate,
+  normalizeSlug,
+  parseResourceUri,
+  parseTaskDirName,
+  readCurrentPointers,
+  readSessionPointer,
+  readTaskClaim,
+  readTaskMeta,
+  refreshSearchIndex,
+  renameTask,
+  renumberReports,
+  reserveReportFile,
+  resolveReportFileName,
+  searchReports,
+  snapshotTasks,
+  tokenize,
+  updateCurrentPointer,
+  updateTaskMeta,
+  validateSessionId,
+  validateSlug,
+  validateTaskMetaChanges,
+  withTaskLock
+} from './bureau.js';
+import { parseFlags, runCli } from './cli.js';
+import { createServer, listenHttp } from './server.js';
+
+// Everything runs against memfs: tasks live in /_tasks, and the clock stands at noon UTC on 2025-10-15
 const memoryFs = createFsFromVolume(vol);
-
-// We need to import the utilities from index.js, but since it's a server file,
-// we'll test the logic by simulating the tool handlers
-
-// Utility functions extracted for testing (copy from index.js)
-function getDateSuffix(index) {
-  const date = new Date();
-  const dateStr = date.toISOString().split('T')[0];
-  if (index === 0) return dateStr;
-  if (index <= 24) {
-    return dateStr + String.fromCharCode(97 + index);
-  }
-  return dateStr + 'z' + String(index + 1).padStart(3, '0');
-}
-
-function parseTaskDirName(dirName) {
-  const match = dirName.match(/^(\d{4}-\d{2}-\d{2}(?:[b-y]|z\d{3})?)-(.+)$/);
-  if (!match) return null;
-  return { datePrefix: match[1], slug: match[2] };
-}
-
-async function getAllTaskDirs(tasksDir, fsImpl) {
-  try {
-    await fsImpl.mkdir(tasksDir, { recursive: true });
-    const entries = await fsImpl.readdir(tasksDir, { withFileTypes: true });
-    return entries
-      .filter(entry => entry.isDirectory() && parseTaskDirName(entry.name))
-      .map(entry => entry.name)
-      .sort();
-  } catch (error) {
-    return [];
-  }
-}
-
-async function getRecentTaskDirs(tasksDir, fsImpl) {
-  const allDirs = await getAllTaskDirs(tasksDir, fsImpl);
-  const thirtyDaysAgo = new Date();
-  thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-  const cutoffStr = thirtyDaysAgo.toISOString().split('T')[0];
-
-  return allDirs.filter(dirName => {
-    const parsed = parseTaskDirName(dirName);
-    if (!parsed) return false;
-    const dateOnly = parsed.datePrefix.replace(/[b-z]$/, '');
-    return dateOnly >= cutoffStr;
-  });
-}
-
-async function getCurrentTaskDir(currentLink, fsImpl) {
-  try {
-    const target = await fsImpl.readlink(currentLink);
-    return target;
-  } catch (error) {
-    return null;
-  }
-}
-
-async function getReportFiles(taskPath, fsImpl) {
-  try {
-    const entries = await fsImpl.readdir(taskPath);
-    const reportFiles = entries
-      .filter(name => /^\d+-.*\.md$/.test(name))
-      .sort();
-
-    if (reportFiles.length <= 50) {
-      return reportFiles;
-    }
-    return [
-      ...reportFiles.slice(0, 20),
-      ...reportFiles.slice(-30)
-    ];
-  } catch (error) {
-    return [];
-  }
-}
-
-async function findNextReportNumber(taskPath, fsImpl) {
-  const reportFiles = await getReportFiles(taskPath, fsImpl);
-  if (reportFiles.length === 0) {
-    return 1;
-  }
-
-  const numbers = reportFiles.map(name => {
-    const match = name.match(/^(\d+)-/);
-    return match ? parseInt(match[1], 10) : 0;
+const NOW = new Date('2025-10-15T12:00:00Z');
+
+function createTestProject(config = {}, { fs = memoryFs.promises, clock = () => NOW } = {}) {
+  return createProject('/', { ...DEFAULT_CONFIG, timeZone: 'UTC', ...config }, {
+    tasksDir: '/_tasks',
+    name: 'test',
+    fs,
+    clock,
+    cwd: '/'
   });
-
-  const maxNumber = Math.max(...numbers);
-  return maxNumber + 1;
 }
 
-async function findTaskDirBySlug(slug, tasksDir, fsImpl) {
-  const allDirs = await getAllTaskDirs(tasksDir, fsImpl);
-
-  for (let i = allDirs.length - 1; i >= 0; i--) {
-    const parsed = parseTaskDirName(allDirs[i]);
-    if (parsed && parsed.slug === slug) {
-      return allDirs[i];
-    }
+// Call a tool the way MCP clients do and parse its result; tool errors are thrown with their details
+async function callTool(bureau, name, args = {}) {
+  const result = await bureau.callTool(name, args);
+  const data = JSON.parse(result.content[0].text);
+  if (result.isError) {
+    throw Object.assign(new Error(data.error), { details: data });
   }
-
-  return null;
+  return data;
 }
 
 describe('Bureau MCP Tools', () => {
-  const TASKS_DIR = '/_tasks';
   const CURRENT_LINK = '/_tasks/current';
+  let project;
+  let bureau;
 
   beforeEach(() => {
     vol.reset();
+    project = createTestProject();
+    bureau = new Bureau(project);
   });
 
   afterEach(() => {
@@ -124,46 +109,105 @@ describe('Bureau MCP Tools', () => {
 
   describe('Date suffix generation', () => {
     test('generates correct date suffix for first task', () => {
-      const suffix = getDateSuffix(0);
+      const suffix = getDateSuffix(0, '2025-10-01');
       assert.match(suffix, /^\d{4}-\d{2}-\d{2}$/);
     });
 
     test('generates correct date suffix for second task', () => {
-      const suffix = getDateSuffix(1);
+      const suffix = getDateSuffix(1, '2025-10-01');
       assert.match(suffix, /^\d{4}-\d{2}-\d{2}b$/);
     });
 
     test('generates correct date suffix for third task', () => {
-      const suffix = getDateSuffix(2);
+      const suffix = getDateSuffix(2, '2025-10-01');
       assert.match(suffix, /^\d{4}-\d{2}-\d{2}c$/);
     });
 
     test('generates correct date suffix for 25th task (y)', () => {
-      const suffix = getDateSuffix(24);
+      const suffix = getDateSuffix(24, '2025-10-01');
       assert.match(suffix, /^\d{4}-\d{2}-\d{2}y$/);
     });
 
     test('generates correct date suffix for 26th task (z026)', () => {
-      const suffix = getDateSuffix(25);
+      const suffix = getDateSuffix(25, '2025-10-01');
       assert.match(suffix, /^\d{4}-\d{2}-\d{2}z026$/);
     });
 
     test('generates correct date suffix for 27th task (z027)', () => {
-      const suffix = getDateSuffix(26);
+      const suffix = getDateSuffix(26, '2025-10-01');
       assert.match(suffix, /^\d{4}-\d{2}-\d{2}z027$/);
     });
 
     test('generates correct date suffix for 100th task (z100)', () => {
-      const suffix = getDateSuffix(99);
+      const suffix = getDateSuffix(99, '2025-10-01');
       assert.match(suffix, /^\d{4}-\d{2}-\d{2}z100$/);
     });
 
     test('generates correct date suffix for 1000th task (z1000)', () => {
-      const suffix = getDateSuffix(999);
+      const suffix = getDateSuffix(999, '2025-10-01');
       assert.match(suffix, /^\d{4}-\d{2}-\d{2}z1000$/);
     });
   });
 
+  describe('Task dates', () => {
+    const LA = createTestProject({ timeZone: 'America/Los_Angeles' });
+    const LA_4AM = createTestProject({ timeZone: 'America/Los_Angeles', dayStartHour: 4 });
+
+    test('uses the configured time zone rather than UTC', () => {
+      // 22:00 on Sep 30 in Los Angeles is already Oct 1 in UTC
+      const evening = new Date('2025-10-01T05:00:00Z');
+      assert.equal(getTaskDate(LA, evening), '2025-09-30');
+      assert.equal(getTaskDate(createTestProject({ timeZone: 'UTC' }), evening), '2025-10-01');
+      assert.equal(getTaskDate(createTestProject({ timeZone: 'Asia/Tokyo' }), evening), '2025-10-01');
+    });
+
+    test('counts hours before dayStartHour toward the previous day', () => {
+      assert.equal(getTaskDate(LA_4AM, new Date('2025-10-01T10:59:00Z')), '2025-09-30'); // 03:59 PDT
+      assert.equal(getTaskDate(LA_4AM, new Date('2025-10-01T11:00:00Z')), '2025-10-01'); // 04:00 PDT
+    });
+
+    test('keeps the rollover at the wall-clock hour when DST starts', () => {
+      // Clocks jump from 02:00 PST to 03:00 PDT on 2025-03-09
+      assert.equal(getTaskDate(LA_4AM, new Date('2025-03-09T10:59:00Z')), '2025-03-08'); // 03:59 PDT
+      assert.equal(getTaskDate(LA_4AM, new Date('2025-03-09T11:00:00Z')), '2025-03-09'); // 04:00 PDT
+      assert.equal(getTaskDate(LA, new Date('2025-03-09T10:30:00Z')), '2025-03-09'); // 03:30 PDT
+    });
+
+    test('keeps the rollover at the wall-clock hour when DST ends', () => {
+      // Clocks fall back from 02:00 PDT to 01:00 PST on 2025-11-02
+      assert.equal(getTaskDate(LA_4AM, new Date('2025-11-02T11:59:00Z')), '2025-11-01'); // 03:59 PST
+      assert.equal(getTaskDate(LA_4AM, new Date('2025-11-02T12:00:00Z')), '2025-11-02'); // 04:00 PST
+      assert.equal(getTaskDate(LA, new Date('2025-11-02T07:59:00Z')), '2025-11-02'); // 00:59 PDT
+      assert.equal(getTaskDate(LA, new Date('2025-11-03T07:59:00Z')), '2025-11-02'); // 23:59 PST
+    });
+
+    test('dates by the injected clock by default', () => {
+      assert.equal(getTaskDate(LA), '2025-10-15');
+      assert.equal(getTaskDate(createTestProject({}, { clock: () => new Date('2025-10-16T03:00:00Z') })), '2025-10-16');
+    });
+
+    test('adds days across month, year and DST boundaries', () => {
+      assert.equal(addDays('2025-03-01', -1), '2025-02-28');
+      assert.equal(addDays('2024-12-31', 1), '2025-01-01');
+      assert.equal(addDays('2025-03-09', 1), '2025-03-10');
+      assert.equal(addDays('2025-10-15', -30), '2025-09-15');
+    });
+
+    test('recent tasks include z### prefixes by their date', async () => {
+      vol.fromJSON({
+        '/_tasks/2025-09-14z026-too-old/.keep': '',
+        '/_tasks/2025-09-15z026-first-day/.keep': '',
+        '/_tasks/2025-09-15y-first-day-too/.keep': '',
+        '/_tasks/2025-10-15z100-today/.keep': ''
+      });
+      assert.deepEqual(await getRecentTaskDirs(project), [
+        '2025-09-15y-first-day-too',
+        '2025-09-15z026-first-day',
+        '2025-10-15z100-today'
+      ]);
+    });
+  });
+
   describe('Task directory name parsing', () => {
     test('parses simple task directory name', () => {
       const result = parseTaskDirName('2025-10-01-some-urgent-task');
@@ -204,13 +248,13 @@ describe('Bureau MCP Tools', () => {
   });
 
   describe('current_task tool', () => {
-    test('returns null when no current task exists', async () => {
+    test('returns an error when no current task exists', async () => {
       vol.fromJSON({
         '/_tasks/.keep': ''
       });
 
-      const taskDir = await getCurrentTaskDir(CURRENT_LINK, memoryFs.promises);
-      assert.equal(taskDir, null);
+      assert.equal(await getCurrentTaskDir(project), null);
+      assert.deepEqual(await callTool(bureau, 'current_task'), { error: 'No current task' });
     });
 
     test('returns task info when current task exists', async () => {
@@ -222,14 +266,15 @@ describe('Bureau MCP Tools', () => {
       // Create symlink
       await memoryFs.promises.symlink('2025-10-01-test-task', CURRENT_LINK);
 
-      const taskDir = await getCurrentTaskDir(CURRENT_LINK, memoryFs.promises);
+      const taskDir = await getCurrentTaskDir(project);
       assert.equal(taskDir, '2025-10-01-test-task');
 
-      const parsed = parseTaskDirName(taskDir);
-      assert.equal(parsed.slug, 'test-task');
-
-      const reportFiles = await getReportFiles('/_tasks/2025-10-01-test-task', memoryFs.promises);
-      assert.deepEqual(reportFiles, ['001-user-request.md', '002-plan.md']);
+      const taskInfo = await callTool(bureau, 'current_task');
+      assert.equal(taskInfo.task_slug, 'test-task');
+      assert.equal(taskInfo.reports_dir, '_tasks/2025-10-01-test-task');
+      assert.deepEqual(taskInfo.report_file_names, ['001-user-request.md', '002-plan.md']);
+      assert.equal(taskInfo.status, 'active');
+      assert.deepEqual(taskInfo.parent_chain, []);
     });
   });
 
@@ -237,26 +282,27 @@ describe('Bureau MCP Tools', () => {
     test('creates first task of the day', async () => {
       vol.fromJSON({ '/_tasks/.keep': '' });
 
-      const today = new Date().toISOString().split('T')[0];
-      const expectedDir = `${today}-my-task`;
-
-      await memoryFs.promises.mkdir(`/_tasks/${expectedDir}`, { recursive: true });
-      await memoryFs.promises.symlink(expectedDir, CURRENT_LINK);
-
-      const taskDir = await getCurrentTaskDir(CURRENT_LINK, memoryFs.promises);
-      assert.equal(taskDir, expectedDir);
+      const taskInfo = await callTool(bureau, 'start_new_task', { task_slug: 'my-task', title: 'My Task' });
+      assert.equal(taskInfo.reports_dir, '_tasks/2025-10-15-my-task');
+      assert.equal(taskInfo.title, 'My Task');
+      assert.equal(taskInfo.created, NOW.toISOString());
+      assert.equal(await getCurrentTaskDir(project), '2025-10-15-my-task');
     });
 
     test('creates second task of the day with suffix', async () => {
-      const today = new Date().toISOString().split('T')[0];
+      vol.fromJSON({ '/_tasks/2025-10-15-my-task/.keep': '' });
 
-      vol.fromJSON({
-        [`/_tasks/${today}-first-task/.keep`]: '',
-        [`/_tasks/${today}b-second-task/.keep`]: ''
-      });
+      await callTool(bureau, 'start_new_task', { task_slug: 'my-task' });
+      await callTool(bureau, 'start_new_task', { task_slug: 'my-task' });
 
-      const allDirs = await getAllTaskDirs(TASKS_DIR, memoryFs.promises);
-      assert.deepEqual(allDirs, [`${today}-first-task`, `${today}b-second-task`]);
+      const allDirs = await getAllTaskDirs(project);
+      assert.deepEqual(allDirs, ['2025-10-15-my-task', '2025-10-15b-my-task', '2025-10-15c-my-task']);
+      assert.equal(await getCurrentTaskDir(project), '2025-10-15c-my-task');
+    });
+
+    test('rejects slugs that are not normalized', async () => {
+      await assert.rejects(callTool(bureau, 'start_new_task', { task_slug: '../../etc' }), /retry with "etc"/);
+      assert.deepEqual(await getAllTaskDirs(project), []);
     });
   });
 
@@ -269,14 +315,14 @@ describe('Bureau MCP Tools', () => {
 
       await memoryFs.promises.symlink('2025-10-01-task-one', CURRENT_LINK);
 
-      let currentDir = await getCurrentTaskDir(CURRENT_LINK, memoryFs.promises);
+      let currentDir = await getCurrentTaskDir(project);
       assert.equal(currentDir, '2025-10-01-task-one');
 
       // Switch to second task
-      await memoryFs.promises.unlink(CURRENT_LINK);
-      await memoryFs.promises.symlink('2025-10-01b-task-two', CURRENT_LINK);
+      const taskInfo = await callTool(bureau, 'switch_task', { task_slug: 'task-two' });
+      assert.equal(taskInfo.reports_dir, '_tasks/2025-10-01b-task-two');
 
-      currentDir = await getCurrentTaskDir(CURRENT_LINK, memoryFs.promises);
+      currentDir = await getCurrentTaskDir(project);
       assert.equal(currentDir, '2025-10-01b-task-two');
     });
 
@@ -286,8 +332,8 @@ describe('Bureau MCP Tools', () => {
         '/_tasks/2025-10-02-another-task/.keep': ''
       });
 
-      const taskDir = await findTaskDirBySlug('my-task', TASKS_DIR, memoryFs.promises);
-      assert.equal(taskDir, '2025-10-01-my-task');
+      const taskDirs = await findTaskDirs(project, 'my-task');
+      assert.deepEqual(taskDirs, ['2025-10-01-my-task']);
     });
 
     test('returns null for non-existent task', async () => {
@@ -295,8 +341,60 @@ describe('Bureau MCP Tools', () => {
         '/_tasks/2025-10-01-my-task/.keep': ''
       });
 
-      const taskDir = await findTaskDirBySlug('non-existent', TASKS_DIR, memoryFs.promises);
-      assert.equal(taskDir, null);
+      const taskDirs = await findTaskDirs(project, 'non-existent');
+      assert.deepEqual(taskDirs, []);
+    });
+
+    describe('with reused slugs', () => {
+      beforeEach(() => {
+        vol.fromJSON({
+          '/_tasks/2025-09-01-fix-login/.keep': '',
+          '/_tasks/2025-10-01-fix-logout/.keep': '',
+          '/_tasks/2025-10-01b-fix-login/.keep': '',
+          '/_tasks/2025-10-02-export-csv/.keep': ''
+        });
+      });
+
+      test('returns every task with an exact slug match instead of guessing', async () => {
+        const taskDirs = await findTaskDirs(project, 'fix-login');
+        assert.deepEqual(taskDirs, ['2025-09-01-fix-login', '2025-10-01b-fix-login']);
+      });
+
+      test('finds a task by full directory name', async () => {
+        const taskDirs = await findTaskDirs(project, '2025-09-01-fix-login');
+        assert.deepEqual(taskDirs, ['2025-09-01-fix-login']);
+      });
+
+      test('finds a task by date-qualified slug regardless of the day suffix', async () => {
+        const taskDirs = await findTaskDirs(project, '2025-10-01-fix-login');
+        assert.deepEqual(taskDirs, ['2025-10-01b-fix-login']);
+      });
+
+      test('falls back to slug prefix and then to words of the slug', async () => {
+        assert.deepEqual(await findTaskDirs(project, 'export'), ['2025-10-02-export-csv']);
+        assert.deepEqual(await findTaskDirs(project, 'csv'), ['2025-10-02-export-csv']);
+        assert.deepEqual(await findTaskDirs(project, 'fix-logo'), ['2025-10-01-fix-logout']);
+        assert.equal((await findTaskDirs(project, 'fix-log')).length, 3);
+      });
+
+      test('switch_task returns the candidates when the reference is ambiguous', async () => {
+        await assert.rejects(callTool(bureau, 'switch_task', { task_slug: 'fix-login' }), error => {
+          assert.match(error.message, /is ambiguous/);
+          assert.deepEqual(error.details.candidates.map(candidate => candidate.task_dir), ['2025-10-01b-fix-login', '2025-09-01-fix-login']);
+          return true;
+        });
+        assert.equal(await getCurrentTaskDir(project), null);
+
+        await callTool(bureau, 'switch_task', { task_slug: '2025-09-01-fix-login' });
+        assert.equal(await getCurrentTaskDir(project), '2025-09-01-fix-login');
+      });
+
+      test('switch_task finds existing tasks whose names are not normalized slugs', async () => {
+        vol.mkdirSync('/_tasks/2025-08-01-Fix_Login', { recursive: true });
+
+        await callTool(bureau, 'switch_task', { task_slug: '2025-08-01-Fix_Login' });
+        assert.equal(await getCurrentTaskDir(project), '2025-08-01-Fix_Login');
+      });
     });
   });
 
@@ -304,28 +402,20 @@ describe('Bureau MCP Tools', () => {
     test('returns empty list when no tasks exist', async () => {
       vol.fromJSON({ '/_tasks/.keep': '' });
 
-      const recentDirs = await getRecentTaskDirs(TASKS_DIR, memoryFs.promises);
+      const recentDirs = await getRecentTaskDirs(project);
       assert.deepEqual(recentDirs, []);
     });
 
     test('returns tasks from last 30 days', async () => {
-      const today = new Date();
-      const recent = new Date(today);
-      recent.setDate(recent.getDate() - 10);
-      const old = new Date(today);
-      old.setDate(old.getDate() - 40);
-
-      const recentDate = recent.toISOString().split('T')[0];
-      const oldDate = old.toISOString().split('T')[0];
-
       vol.fromJSON({
-        [`/_tasks/${recentDate}-recent-task/.keep`]: '',
-        [`/_tasks/${oldDate}-old-task/.keep`]: ''
+        '/_tasks/2025-10-05-recent-task/.keep': '',
+        '/_tasks/2025-09-05-old-task/.keep': ''
       });
 
-      const recentDirs = await getRecentTaskDirs(TASKS_DIR, memoryFs.promises);
+      const recentDirs = await getRecentTaskDirs(project);
       assert.equal(recentDirs.length, 1);
-      assert.equal(recentDirs[0], `${recentDate}-recent-task`);
+      assert.equal(recentDirs[0], '2025-10-05-recent-task');
+      assert.deepEqual((await callTool(bureau, 'list_recent_tasks')).recent_task_slugs, ['recent-task']);
     });
   });
 
@@ -335,7 +425,7 @@ describe('Bureau MCP Tools', () => {
         '/_tasks/2025-10-01-my-task/.keep': ''
       });
 
-      const nextNumber = await findNextReportNumber('/_tasks/2025-10-01-my-task', memoryFs.promises);
+      const nextNumber = await findNextReportNumber(project, '2025-10-01-my-task');
       assert.equal(nextNumber, 1);
     });
 
@@ -346,7 +436,7 @@ describe('Bureau MCP Tools', () => {
         '/_tasks/2025-10-01-my-task/003-review.md': 'content'
       });
 
-      const nextNumber = await findNextReportNumber('/_tasks/2025-10-01-my-task', memoryFs.promises);
+      const nextNumber = await findNextReportNumber(project, '2025-10-01-my-task');
       assert.equal(nextNumber, 4);
     });
 
@@ -356,7 +446,7 @@ describe('Bureau MCP Tools', () => {
         '/_tasks/2025-10-01-my-task/005-review.md': 'content'
       });
 
-      const nextNumber = await findNextReportNumber('/_tasks/2025-10-01-my-task', memoryFs.promises);
+      const nextNumber = await findNextReportNumber(project, '2025-10-01-my-task');
       assert.equal(nextNumber, 6);
     });
 
@@ -367,7 +457,7 @@ describe('Bureau MCP Tools', () => {
         '/_tasks/2025-10-01-my-task/42-boz.md': 'agent cheated and wrote this'
       });
 
-      const nextNumber = await findNextReportNumber('/_tasks/2025-10-01-my-task', memoryFs.promises);
+      const nextNumber = await findNextReportNumber(project, '2025-10-01-my-task');
       assert.equal(nextNumber, 43);
     });
 
@@ -378,13 +468,27 @@ describe('Bureau MCP Tools', () => {
         '/_tasks/2025-10-01-my-task/100-hundredth.md': 'content'
       });
 
-      const reportFiles = await getReportFiles('/_tasks/2025-10-01-my-task', memoryFs.promises);
+      const reportFiles = await getReportFiles(project, '2025-10-01-my-task');
       // Files are sorted alphabetically, so '100' comes before '11'
       assert.deepEqual(reportFiles, ['1-first.md', '100-hundredth.md', '11-eleventh.md']);
 
-      const nextNumber = await findNextReportNumber('/_tasks/2025-10-01-my-task', memoryFs.promises);
+      const nextNumber = await findNextReportNumber(project, '2025-10-01-my-task');
       assert.equal(nextNumber, 101);
     });
+
+    test('reserves the file in the current task', async () => {
+      vol.fromJSON({ '/_tasks/2025-10-01-my-task/001-start.md': 'content' });
+      vol.symlinkSync('2025-10-01-my-task', CURRENT_LINK);
+
+      const result = await callTool(bureau, 'start_new_report_file', { suffix: 'plan' });
+      assert.equal(result.report_file_to_create, '_tasks/2025-10-01-my-task/002-plan.md');
+      assert.equal(vol.readFileSync('/_tasks/2025-10-01-my-task/002-plan.md', 'utf8'), '# plan\n');
+    });
+
+    test('fails without a current task', async () => {
+      vol.fromJSON({ '/_tasks/2025-10-01-my-task/.keep': '' });
+      await assert.rejects(callTool(bureau, 'start_new_report_file', { suffix: 'plan' }), /No current task/);
+    });
   });
 
   describe('Report file filtering', () => {
@@ -395,7 +499,7 @@ describe('Bureau MCP Tools', () => {
       }
       vol.fromJSON(files);
 
-      const reportFiles = await getReportFiles('/_tasks/2025-10-01-my-task', memoryFs.promises);
+      const reportFiles = await getReportFiles(project, '2025-10-01-my-task');
       assert.equal(reportFiles.length, 30);
     });
 
@@ -406,7 +510,7 @@ describe('Bureau MCP Tools', () => {
       }
       vol.fromJSON(files);
 
-      const reportFiles = await getReportFiles('/_tasks/2025-10-01-my-task', memoryFs.promises);
+      const reportFiles = await getReportFiles(project, '2025-10-01-my-task');
       assert.equal(reportFiles.length, 50);
       assert.equal(reportFiles[0], '001-file.md');
       assert.equal(reportFiles[19], '020-file.md');
@@ -414,4 +518,1679 @@ describe('Bureau MCP Tools', () => {
       assert.equal(reportFiles[49], '100-file.md');
     });
   });
+
+  describe('Report reservation', () => {
+    const taskDir = '2025-10-01-my-task';
+    const taskPath = `/_tasks/${taskDir}`;
+
+    test('creates the reserved file with a placeholder header', async () => {
+      vol.fromJSON({ [`${taskPath}/001-start.md`]: 'content' });
+
+      const fileName = await reserveReportFile(project, taskDir, 'plan');
+      assert.equal(fileName, '002-plan.md');
+      assert.equal(vol.readFileSync(`${taskPath}/002-plan.md`, 'utf8'), '# plan\n');
+    });
+
+    test('gives concurrent callers distinct numbers', async () => {
+      vol.fromJSON({ [`${taskPath}/.keep`]: '' });
+
+      const suffixes = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h'];
+      const fileNames = await Promise.all(
+        suffixes.map(suffix => reserveReportFile(project, taskDir, suffix))
+      );
+
+      const numbers = fileNames.map(name => name.slice(0, 3)).sort();
+      assert.deepEqual(numbers, ['001', '002', '003', '004', '005', '006', '007', '008']);
+
+      const reportFiles = await getReportFiles(project, taskDir);
+      assert.equal(reportFiles.length, 8);
+      assert.ok(!vol.existsSync(`${taskPath}/.bureau.lock`));
+    });
+
+    test('gives concurrent callers with the same suffix distinct files', async () => {
+      vol.fromJSON({ [`${taskPath}/.keep`]: '' });
+
+      const fileNames = await Promise.all([
+        reserveReportFile(project, taskDir, 'review'),
+        reserveReportFile(project, taskDir, 'review'),
+        reserveReportFile(project, taskDir, 'review')
+      ]);
+
+      assert.deepEqual(fileNames.sort(), ['001-review.md', '002-review.md', '003-review.md']);
+    });
+
+    test('skips past a file created outside Bureau', async () => {
+      vol.fromJSON({
+        [`${taskPath}/001-start.md`]: 'content',
+        [`${taskPath}/002-plan.md`]: 'already there'
+      });
+
+      // Hide 002 from the number scan to simulate a write racing with ours
+      const racingFs = Object.create(memoryFs.promises);
+      racingFs.readdir = async (dirPath) =>
+        (await memoryFs.promises.readdir(dirPath)).filter(name => name !== '002-plan.md');
+
+      const fileName = await reserveReportFile({ ...project, fs: racingFs }, taskDir, 'plan');
+      assert.equal(fileName, '003-plan.md');
+      assert.equal(vol.readFileSync(`${taskPath}/002-plan.md`, 'utf8'), 'already there');
+    });
+
+    test('breaks a stale lock left by a crashed process', async () => {
+      vol.fromJSON({ [`${taskPath}/.keep`]: '' });
+      vol.mkdirSync(`${taskPath}/.bureau.lock`);
+      const past = new Date(Date.now() - 60000);
+      vol.utimesSync(`${taskPath}/.bureau.lock`, past, past);
+
+      const fileName = await reserveReportFile(project, taskDir, 'plan');
+      assert.equal(fileName, '001-plan.md');
+    });
+
+    test('times out on a live lock', async () => {
+      vol.fromJSON({ [`${taskPath}/.keep`]: '' });
+      vol.mkdirSync(`${taskPath}/.bureau.lock`);
+
+      await assert.rejects(
+        withTaskLock(project, taskDir, async () => {}, { timeoutMs: 50 }),
+        /Timed out waiting for lock/
+      );
+    });
+  });
+
+  describe('write_report and append_to_report tools', () => {
+    const taskDir = '2025-10-01-my-task';
+    const taskPath = `/_tasks/${taskDir}`;
+
+    beforeEach(() => {
+      vol.mkdirSync(taskPath, { recursive: true });
+      vol.symlinkSync(taskDir, CURRENT_LINK);
+    });
+
+    test('writes content into the next numbered report', async () => {
+      vol.fromJSON({ [`${taskPath}/001-start.md`]: 'content' });
+
+      const result = await callTool(bureau, 'write_report', { suffix: 'plan', content: '# Plan\n\nÜber-step\n' });
+      assert.deepEqual(result, { report_file: '_tasks/2025-10-01-my-task/002-plan.md', bytes_written: 19 });
+      assert.equal(vol.readFileSync(`${taskPath}/002-plan.md`, 'utf8'), '# Plan\n\nÜber-step\n');
+    });
+
+    test('keeps parallel writes in separate reports', async () => {
+      vol.fromJSON({ [`${taskPath}/.keep`]: '' });
+
+      const results = await Promise.all([
+        callTool(bureau, 'write_report', { suffix: 'log', content: 'one' }),
+        callTool(bureau, 'write_report', { suffix: 'log', content: 'two' })
+      ]);
+
+      const contents = results.map(r => vol.readFileSync(`/${r.report_file}`, 'utf8')).sort();
+      assert.deepEqual(contents, ['one', 'two']);
+    });
+
+    test('appends to an existing report and reads it back', async () => {
+      vol.fromJSON({ [`${taskPath}/001-log.md`]: '# Log\n' });
+
+      const result = await callTool(bureau, 'append_to_report', { file: '_tasks/2025-10-01-my-task/001-log.md', content: '- step\n' });
+      assert.deepEqual(result, { report_file: '_tasks/2025-10-01-my-task/001-log.md', bytes_written: 7, size: 13 });
+      assert.deepEqual(await callTool(bureau, 'read_report', { file: '001-log.md' }), {
+        report_file: '_tasks/2025-10-01-my-task/001-log.md',
+        content: '# Log\n- step\n'
+      });
+      await assert.rejects(callTool(bureau, 'append_to_report', { file: '002-missing.md', content: 'x' }), /Report not found: 002-missing.md/);
+    });
+
+    test('accepts bare file names and paths returned by tools', () => {
+      assert.equal(resolveReportFileName(project, taskDir, '003-log.md'), '003-log.md');
+      assert.equal(resolveReportFileName(project, taskDir, '_tasks/2025-10-01-my-task/003-log.md'), '003-log.md');
+      assert.equal(resolveReportFileName(project, taskDir, '/_tasks/2025-10-01-my-task/003-log.md'), '003-log.md');
+    });
+
+    test('refuses files outside the task directory', () => {
+      assert.throws(() => resolveReportFileName(project, taskDir, '../2025-10-02-other/001-x.md'), /must be in the task directory/);
+      assert.throws(() => resolveReportFileName(project, taskDir, '_tasks/2025-10-02-other/001-x.md'), /must be in the task directory/);
+      assert.throws(() => resolveReportFileName(project, taskDir, '..'), /must be in the task directory/);
+    });
+
+    test('refuses non-report file names', () => {
+      assert.throws(() => resolveReportFileName(project, taskDir, 'notes.md'), /Not a report file name/);
+      assert.throws(() => resolveReportFileName(project, taskDir, '003-log.txt'), /Not a report file name/);
+    });
+  });
+
+  describe('read_task_digest tool', () => {
+    const taskDir = '2025-10-01-my-task';
+    const taskPath = `/_tasks/${taskDir}`;
+
+    test('extracts the first heading as the title', () => {
+      assert.equal(getReportTitle('# Plan\n\nbody'), 'Plan');
+      assert.equal(getReportTitle('intro\n## Code Review ##\n'), 'Code Review');
+      assert.equal(getReportTitle('no headings here'), null);
+    });
+
+    test('includes title and first lines of each report', async () => {
+      vol.fromJSON({
+        [`${taskPath}/001-user-request.md`]: '# User Request\n\nFix the login\nASAP\n',
+        [`${taskPath}/002-plan.md`]: 'Step 1\nStep 2'
+      });
+
+      const digest = await getTaskDigest(project, taskDir, { lines: 3 });
+      assert.deepEqual(digest.reports, [
+        { file: '001-user-request.md', title: 'User Request', line_count: 5, excerpt: '# User Request\n\nFix the login', truncated: true },
+        { file: '002-plan.md', title: null, line_count: 2, excerpt: 'Step 1\nStep 2', truncated: false }
+      ]);
+      assert.equal(digest.skipped, undefined);
+      assert.equal(digest.budget_exhausted, undefined);
+    });
+
+    test('notes the range skipped in huge tasks', async () => {
+      const files = {};
+      for (let i = 1; i <= 60; i++) {
+        files[`${taskPath}/${String(i).padStart(3, '0')}-file.md`] = `# Report ${i}`;
+      }
+      vol.fromJSON(files);
+
+      const digest = await getTaskDigest(project, taskDir);
+      assert.equal(digest.reports.length, 50);
+      assert.deepEqual(digest.skipped, {
+        count: 10,
+        first: '021-file.md',
+        last: '030-file.md',
+        note: '10 reports from 021-file.md to 030-file.md are not included; use read_report to read them'
+      });
+    });
+
+    test('stops adding excerpts once the size budget is spent', async () => {
+      vol.fromJSON({
+        [`${taskPath}/001-a.md`]: 'a'.repeat(30),
+        [`${taskPath}/002-b.md`]: 'b'.repeat(30),
+        [`${taskPath}/003-c.md`]: '# C\n' + 'c'.repeat(30)
+      });
+
+      const digest = await getTaskDigest(project, taskDir, { maxBytes: 40 });
+      assert.deepEqual(digest.reports.map(r => r.excerpt.length), [30, 10, 0]);
+      assert.equal(digest.reports[2].title, 'C');
+      assert.equal(digest.budget_exhausted, true);
+    });
+
+    test('rejects lines and max_bytes that are not non-negative integers', async () => {
+      vol.fromJSON({ [`${taskPath}/001-a.md`]: 'a' });
+      for (const [name, value] of [['lines', -1], ['lines', 2.5], ['lines', '3'], ['max_bytes', -10], ['max_bytes', NaN]]) {
+        await assert.rejects(callTool(bureau, 'read_task_digest', { task: taskDir, [name]: value }), new RegExp(`${name} must be a non-negative integer`));
+      }
+      const digest = await callTool(bureau, 'read_task_digest', { task: taskDir, lines: 0, max_bytes: 0 });
+      assert.equal(digest.reports[0].excerpt, '');
+    });
+  });
+
+  describe('Slug validation', () => {
+    test('normalizes to lowercase kebab-case', () => {
+      assert.equal(normalizeSlug('Fix Login Bug'), 'fix-login-bug');
+      assert.equal(normalizeSlug('foo/bar'), 'foo-bar');
+      assert.equal(normalizeSlug('../../etc'), 'etc');
+      assert.equal(normalizeSlug('v1.2_release'), 'v1-2-release');
+      assert.equal(normalizeSlug('--already--dashed--'), 'already-dashed');
+    });
+
+    test('transliterates accented latin letters', () => {
+      assert.equal(normalizeSlug('Café Crème'), 'cafe-creme');
+      assert.equal(normalizeSlug('Ångström'), 'angstrom');
+    });
+
+    test('caps the length without leaving a trailing dash', () => {
+      const slug = normalizeSlug('a'.repeat(59) + ' tail');
+      assert.equal(slug, 'a'.repeat(59));
+      assert.equal(normalizeSlug('x'.repeat(100)).length, 60);
+    });
+
+    test('accepts normalized slugs as is', () => {
+      assert.equal(validateSlug('some-urgent-task', 'task_slug'), 'some-urgent-task');
+      assert.equal(validateSlug('code-review-2', 'suffix'), 'code-review-2');
+    });
+
+    test('rejects path traversal and suggests the normalized form', () => {
+      assert.throws(() => validateSlug('../../etc', 'task_slug'), /Invalid task_slug "\.\.\/\.\.\/etc".*retry with "etc"/);
+      assert.throws(() => validateSlug('foo/bar', 'suffix'), /Invalid suffix "foo\/bar".*retry with "foo-bar"/);
+      assert.throws(() => validateSlug('Plan.md', 'suffix'), /retry with "plan-md"/);
+    });
+
+    test('rejects slugs with nothing transliterable', () => {
+      assert.throws(() => validateSlug('Привет', 'task_slug'), /use lowercase latin letters, digits and dashes/);
+      assert.throws(() => validateSlug('..', 'task_slug'), /use lowercase latin letters/);
+    });
+  });
+
+  describe('Project resolution', () => {
+    test('parses flags in both forms', () => {
+      assert.deepEqual(parseFlags(['--root', '/repo', '--tasks-dir=notes', 'extra', '--verbose']), {
+        flags: { root: '/repo', 'tasks-dir': 'notes', verbose: true },
+        positionals: ['extra']
+      });
+    });
+
+    test('boolean flags leave the next argument positional', () => {
+      assert.deepEqual(parseFlags(['search', '--regex', 'redis.*timeout', '--since', '2025-01-01', '--watch=poll']), {
+        flags: { regex: true, since: '2025-01-01', watch: 'poll' },
+        positionals: ['search', 'redis.*timeout']
+      });
+    });
+
+    test('walks up from cwd to the git root', async () => {
+      vol.fromJSON({
+        '/repo/.git/HEAD': 'ref: refs/heads/main',
+        '/repo/src/app/index.js': ''
+      });
+
+      const { defaultProject } = await Bureau.open({ cwd: '/repo/src/app', fs: memoryFs.promises });
+      assert.equal(defaultProject.rootDir, '/repo');
+      assert.equal(defaultProject.tasksDir, '/repo/_tasks');
+    });
+
+    test('prefers the nearest config file over an outer git root', async () => {
+      vol.fromJSON({
+        '/mono/.git/HEAD': '',
+        '/mono/packages/api/.bureau.json': JSON.stringify({ tasksDir: 'docs/tasks', numberWidth: 4 }),
+        '/mono/packages/api/src/.keep': ''
+      });
+
+      const { defaultProject } = await Bureau.open({ cwd: '/mono/packages/api/src', fs: memoryFs.promises });
+      assert.equal(defaultProject.rootDir, '/mono/packages/api');
+      assert.equal(defaultProject.tasksDir, '/mono/packages/api/docs/tasks');
+      assert.equal(defaultProject.config.numberWidth, 4);
+      assert.equal(defaultProject.config.listHead, 20);
+    });
+
+    test('falls back to cwd outside of any project', async () => {
+      vol.fromJSON({ '/home/user/.keep': '' });
+
+      const { defaultProject } = await Bureau.open({ cwd: '/home/user', fs: memoryFs.promises });
+      assert.equal(defaultProject.tasksDir, '/home/user/_tasks');
+    });
+
+    test('lets an explicit root and tasks dir override detection', async () => {
+      vol.fromJSON({ '/repo/.git/HEAD': '', '/other/.keep': '' });
+
+      const withRoot = await Bureau.open({ cwd: '/repo', root: '/other', fs: memoryFs.promises });
+      assert.equal(withRoot.defaultProject.tasksDir, '/other/_tasks');
+
+      const withTasksDir = await Bureau.open({ cwd: '/repo', tasksDir: 'elsewhere', fs: memoryFs.promises });
+      assert.equal(withTasksDir.defaultProject.rootDir, '/repo');
+      assert.equal(withTasksDir.defaultProject.tasksDir, '/repo/elsewhere');
+    });
+
+    test('rejects invalid config values', async () => {
+      vol.fromJSON({ '/repo/.bureau.json': JSON.stringify({ numberWidth: 0 }) });
+      await assert.rejects(loadConfig('/repo', memoryFs.promises), /numberWidth must be an integer from 1 to 10/);
+
+      vol.fromJSON({ '/repo/.bureau.json': JSON.stringify({ reportExtension: 'md' }) });
+      await assert.rejects(loadConfig('/repo', memoryFs.promises), /reportExtension must look like/);
+
+      vol.fromJSON({ '/repo/.bureau.json': '{ nope' });
+      await assert.rejects(loadConfig('/repo', memoryFs.promises), /Invalid \/repo\/\.bureau\.json/);
+    });
+  });
+
+  describe('Multiple projects', () => {
+    test('collects repeated flags into an array', () => {
+      assert.deepEqual(parseFlags(['--project', '../a', '--project=../b']).flags, { project: ['../a', '../b'] });
+    });
+
+    test('registers projects from config and flags', async () => {
+      vol.fromJSON({
+        '/work/web/.git/HEAD': '',
+        '/work/web/.bureau.json': JSON.stringify({ projects: { api: '../backend' } }),
+        '/work/backend/.bureau.json': JSON.stringify({ tasksDir: 'notes' }),
+        '/work/shared/.keep': ''
+      });
+
+      const { projects } = await Bureau.open({ cwd: '/work/web', projects: ['../shared'], fs: memoryFs.promises });
+
+      assert.deepEqual([...projects.keys()], ['web', 'api', 'shared']);
+      assert.equal(projects.get('api').tasksDir, '/work/backend/notes');
+      assert.equal(projects.get('shared').tasksDir, '/work/shared/_tasks');
+    });
+
+    test('rejects missing project directories and duplicate names', async () => {
+      vol.fromJSON({
+        '/work/web/.bureau.json': JSON.stringify({ projects: { api: '../missing' } }),
+        '/elsewhere/web/.keep': ''
+      });
+
+      await assert.rejects(
+        Bureau.open({ cwd: '/work/web', fs: memoryFs.promises }),
+        /Project directory not found: \/work\/missing/
+      );
+
+      vol.writeFileSync('/work/web/.bureau.json', '{}');
+      await assert.rejects(
+        Bureau.open({ cwd: '/work/web', projects: ['/elsewhere/web'], fs: memoryFs.promises }),
+        /Duplicate project name "web"/
+      );
+    });
+
+    test('looks projects up by name or root path', async () => {
+      vol.fromJSON({
+        '/work/web/.bureau.json': JSON.stringify({ projects: { api: '../backend' } }),
+        '/work/backend/.keep': '',
+        '/work/docs/.keep': ''
+      });
+
+      const bureau = await Bureau.open({ cwd: '/work/web', fs: memoryFs.promises });
+
+      assert.equal(await bureau.getProject(undefined), bureau.defaultProject);
+      assert.equal((await bureau.getProject('api')).rootDir, '/work/backend');
+      assert.equal((await bureau.getProject('../backend')).name, 'api');
+
+      const docs = await bureau.getProject('/work/docs');
+      assert.equal(docs.tasksDir, '/work/docs/_tasks');
+      assert.equal(docs.fs, memoryFs.promises);
+      assert.ok(bureau.projects.has('/work/docs'));
+
+      await assert.rejects(bureau.getProject('nope'), /Unknown project: nope \(known projects: web, api, \/work\/docs\)/);
+    });
+
+    test('files reports into the project a tool call names', async () => {
+      vol.fromJSON({
+        '/work/web/.bureau.json': JSON.stringify({ projects: { api: '../backend' } }),
+        '/work/web/_tasks/2025-10-01-page/.keep': '',
+        '/work/backend/_tasks/2025-10-01-endpoint/.keep': ''
+      });
+      vol.symlinkSync('2025-10-01-page', '/work/web/_tasks/current');
+      const bureau = await Bureau.open({ cwd: '/work/web', fs: memoryFs.promises });
+
+      await callTool(bureau, 'switch_task', { task_slug: 'endpoint', project: 'api' });
+      const result = await callTool(bureau, 'write_report', { suffix: 'notes', content: 'api notes', project: 'api' });
+      assert.equal(result.report_file, '/work/backend/_tasks/2025-10-01-endpoint/001-notes.md');
+      assert.equal(await getCurrentTaskDir(bureau.defaultProject), '2025-10-01-page');
+
+      const { projects } = await callTool(bureau, 'list_projects');
+      assert.deepEqual(projects.map(({ name, current_task, is_default }) => [name, current_task, is_default]), [
+        ['web', '2025-10-01-page', true],
+        ['api', '2025-10-01-endpoint', false]
+      ]);
+    });
+
+    test('leaves no tasks dir behind in projects that are only read', async () => {
+      vol.fromJSON({ '/work/web/_tasks/.keep': '', '/work/docs/.keep': '' });
+      const bureau = await Bureau.open({ cwd: '/work/web', fs: memoryFs.promises, clock: () => NOW });
+
+      assert.deepEqual((await callTool(bureau, 'list_tasks', { project: '/work/docs' })).tasks, []);
+      assert.deepEqual((await callTool(bureau, 'search_reports', { query: 'x', project: '/work/docs' })).matches, []);
+      await callTool(bureau, 'list_recent_tasks', { project: '/work/docs' });
+      await callTool(bureau, 'list_projects');
+      assert.deepEqual(vol.readdirSync('/work/docs'), ['.keep']);
+
+      await callTool(bureau, 'start_new_task', { task_slug: 'first', project: '/work/docs' });
+      assert.deepEqual(vol.readdirSync('/work/docs/_tasks').filter(name => name !== 'current'), ['.current', '2025-10-15-first']);
+    });
+  });
+
+  describe('Task metadata', () => {
+    const taskDir = '2025-10-01-my-task';
+    const taskPath = `/_tasks/${taskDir}`;
+
+    test('returns defaults for tasks without a metadata file', async () => {
+      vol.fromJSON({ [`${taskPath}/001-start.md`]: 'content' });
+
+      const meta = await readTaskMeta(project, taskDir);
+      assert.deepEqual(meta, DEFAULT_TASK_META);
+    });
+
+    test('creates the metadata file with timestamps on first update', async () => {
+      vol.fromJSON({ [`${taskPath}/.keep`]: '' });
+
+      const meta = await updateTaskMeta(project, taskDir, { title: 'My Task' });
+      assert.equal(meta.title, 'My Task');
+      assert.equal(meta.status, 'active');
+      assert.match(meta.created, /^\d{4}-\d{2}-\d{2}T/);
+      assert.equal(meta.updated, meta.created);
+
+      const stored = JSON.parse(vol.readFileSync(`${taskPath}/task.json`, 'utf8'));
+      assert.deepEqual(stored, meta);
+      assert.deepEqual(vol.readdirSync(taskPath).sort(), ['.keep', 'task.json']);
+    });
+
+    test('merges later updates and keeps the creation time', async () => {
+      vol.fromJSON({
+        [`${taskPath}/task.json`]: JSON.stringify({ title: 'Old', tags: ['a'], created: '2025-10-01T10:00:00.000Z', custom: 1 })
+      });
+
+      const meta = await updateTaskMeta(project, taskDir, { status: 'done', summary: 'Shipped' });
+      assert.equal(meta.title, 'Old');
+      assert.deepEqual(meta.tags, ['a']);
+      assert.equal(meta.status, 'done');
+      assert.equal(meta.summary, 'Shipped');
+      assert.equal(meta.created, '2025-10-01T10:00:00.000Z');
+      assert.notEqual(meta.updated, meta.created);
+      assert.equal(meta.custom, 1);
+    });
+
+    test('does not lose concurrent updates', async () => {
+      vol.fromJSON({ [`${taskPath}/.keep`]: '' });
+
+      await Promise.all([
+        updateTaskMeta(project, taskDir, { title: 'T' }),
+        updateTaskMeta(project, taskDir, { status: 'blocked' }),
+        updateTaskMeta(project, taskDir, { summary: 'S' })
+      ]);
+
+      const meta = await readTaskMeta(project, taskDir);
+      assert.equal(meta.title, 'T');
+      assert.equal(meta.status, 'blocked');
+      assert.equal(meta.summary, 'S');
+    });
+
+    test('reports corrupt metadata files', async () => {
+      vol.fromJSON({ [`${taskPath}/task.json`]: '{ oops' });
+
+      await assert.rejects(readTaskMeta(project, taskDir), /Invalid task metadata in _tasks\/2025-10-01-my-task\/task\.json/);
+    });
+
+    test('validates tool arguments', () => {
+      assert.deepEqual(validateTaskMetaChanges({ title: 'T', tags: ['ui', 'bug-fix'] }), { title: 'T', tags: ['ui', 'bug-fix'] });
+      assert.deepEqual(validateTaskMetaChanges({}), {});
+      assert.throws(() => validateTaskMetaChanges({ status: 'finished' }), /must be one of active, blocked, done, abandoned/);
+      assert.throws(() => validateTaskMetaChanges({ tags: 'ui' }), /tags must be an array/);
+      assert.throws(() => validateTaskMetaChanges({ tags: ['UI Work'] }), /retry with "ui-work"/);
+    });
+  });
+
+  describe('list_tasks tool', () => {
+    beforeEach(() => {
+      vol.fromJSON({
+        '/_tasks/2025-09-15-fix-login/001-bug.md': 'content',
+        '/_tasks/2025-10-01-fix-login/001-bug.md': 'content',
+        '/_tasks/2025-10-01-fix-login/002-fix.md': 'content',
+        '/_tasks/2025-10-01b-export/task.json': JSON.stringify({ status: 'done', tags: ['csv', 'backend'] }),
+        '/_tasks/2025-10-03-refactor/task.json': JSON.stringify({ status: 'blocked', tags: ['backend'] })
+      });
+      vol.symlinkSync('2025-10-01-fix-login', '/_tasks/current');
+    });
+
+    test('lists all tasks newest first with full directory info', async () => {
+      const result = await listTasks(project);
+      assert.deepEqual(result.tasks.map(t => t.task_dir), [
+        '2025-10-03-refactor', '2025-10-01b-export', '2025-10-01-fix-login', '2025-09-15-fix-login'
+      ]);
+      assert.equal(result.total, 4);
+      assert.equal(result.next_cursor, null);
+
+      const fixLogin = result.tasks[2];
+      assert.equal(fixLogin.date, '2025-10-01');
+      assert.equal(fixLogin.report_count, 2);
+      assert.equal(fixLogin.is_current, true);
+      assert.equal(fixLogin.status, 'active');
+      assert.match(fixLogin.last_modified, /^\d{4}-\d{2}-\d{2}T/);
+      assert.equal(result.tasks[3].is_current, false);
+    });
+
+    test('filters by date range, status and tags', async () => {
+      const byDate = await listTasks(project, { since: '2025-10-01', until: '2025-10-02', sort: 'oldest' });
+      assert.deepEqual(byDate.tasks.map(t => t.task_dir), ['2025-10-01-fix-login', '2025-10-01b-export']);
+
+      const byStatus = await listTasks(project, { status: ['done', 'blocked'] });
+      assert.deepEqual(byStatus.tasks.map(t => t.task_slug), ['refactor', 'export']);
+
+      const byTags = await listTasks(project, { tags: ['backend', 'csv'] });
+      assert.deepEqual(byTags.tasks.map(t => t.task_slug), ['export']);
+    });
+
+    test('pages through results with a cursor', async () => {
+      const first = await listTasks(project, { limit: 3 });
+      assert.equal(first.tasks.length, 3);
+      assert.equal(first.next_cursor, '2025-10-01-fix-login');
+
+      const second = await listTasks(project, { limit: 3, cursor: first.next_cursor });
+      assert.deepEqual(second.tasks.map(t => t.task_dir), ['2025-09-15-fix-login']);
+      assert.equal(second.next_cursor, null);
+
+      await assert.rejects(listTasks(project, { cursor: 'gone' }), /Invalid cursor "gone"/);
+    });
+
+    test('validates arguments', async () => {
+      await assert.rejects(listTasks(project, { since: '10/01/2025' }), /Invalid since/);
+      await assert.rejects(listTasks(project, { sort: 'random' }), /Invalid sort/);
+      await assert.rejects(listTasks(project, { limit: 0 }), /limit must be a positive integer/);
+    });
+  });
+
+  describe('search_reports tool', () => {
+    beforeEach(() => {
+      vol.fromJSON({
+        '/_tasks/2025-09-01-redis/001-investigation.md': '# Investigation\n\nThe Redis client hits a timeout\nunder load.\n',
+        '/_tasks/2025-09-01-redis/002-redis-config.md': 'maxmemory 2gb\n',
+        '/_tasks/2025-10-01-login/001-bug.md': 'Login times out after 30s\n'
+      });
+    });
+
+    test('finds content matches with line numbers and context', async () => {
+      const result = await searchReports(project, { query: 'redis client' });
+      assert.deepEqual(result.matches, [{
+        task_dir: '2025-09-01-redis',
+        report_file: '_tasks/2025-09-01-redis/001-investigation.md',
+        match_in: 'content',
+        line: 3,
+        snippet: '2: \n3: The Redis client hits a timeout\n4: under load.'
+      }]);
+      assert.equal(result.truncated, false);
+      assert.equal(result.searched_reports, 3);
+    });
+
+    test('matches file names too', async () => {
+      const result = await searchReports(project, { query: 'redis-config' });
+      assert.deepEqual(result.matches.map(m => [m.report_file, m.match_in]), [['_tasks/2025-09-01-redis/002-redis-config.md', 'filename']]);
+    });
+
+    test('searches newest tasks first and supports regex', async () => {
+      const result = await searchReports(project, { query: 'time(s)? ?out', regex: true, contextLines: 0 });
+      assert.deepEqual(result.matches.map(m => [m.task_dir, m.line]), [['2025-10-01-login', 1], ['2025-09-01-redis', 3]]);
+      assert.equal(result.matches[0].snippet, '1: Login times out after 30s');
+    });
+
+    test('rejects queries that are not strings', async () => {
+      await assert.rejects(callTool(bureau, 'search_reports', { query: 5 }), error => {
+        assert.equal(error.message, 'query must be a string');
+        return true;
+      });
+      await assert.rejects(callTool(bureau, 'search_reports', { query: ['redis'], regex: true }), /query must be a string/);
+    });
+
+    test('rejects max_results and context_lines that are not whole numbers of lines', async () => {
+      for (const max_results of [0, -1, 2.5, '10']) {
+        await assert.rejects(callTool(bureau, 'search_reports', { query: 'redis', max_results }), /max_results must be a positive integer/);
+      }
+      for (const context_lines of [-1, 1.5, '2']) {
+        await assert.rejects(callTool(bureau, 'search_reports', { query: 'redis', context_lines }), /context_lines must be a non-negative integer/);
+      }
+      assert.equal((await callTool(bureau, 'search_reports', { query: 'redis', max_results: 1, context_lines: 0 })).matches.length, 1);
+    });
+
+    test('honours case sensitivity and date range', async () => {
+      assert.equal((await searchReports(project, { query: 'redis', caseSensitive: true })).matches.length, 1);
+      assert.equal((await searchReports(project, { query: 'redis', since: '2025-10-01' })).matches.length, 0);
+      assert.equal((await searchReports(project, { query: 'out', task: '2025-10-01-login' })).searched_reports, 1);
+    });
+
+    test('caps the number of results', async () => {
+      const result = await searchReports(project, { query: 'e', maxResults: 2 });
+      assert.equal(result.matches.length, 2);
+      assert.equal(result.truncated, true);
+    });
+
+    test('treats special characters literally unless regex is set', async () => {
+      assert.equal((await searchReports(project, { query: '30s.' })).matches.length, 0);
+      await assert.rejects(searchReports(project, { query: '(', regex: true }), /Invalid regex "\("/);
+    });
+  });
+
+  describe('Search index', () => {
+    beforeEach(() => {
+      vol.fromJSON({
+        '/_tasks/2025-09-01-redis/001-investigation.md': 'The Redis client hits a timeout',
+        '/_tasks/2025-09-01-redis/002-config.md': 'maxmemory 2gb',
+        '/_tasks/2025-10-01-login/001-bug.md': 'Login times out; Redis is fine'
+      });
+    });
+
+    test('tokenizes into unique lowercase words, including non-latin ones', () => {
+      assert.deepEqual(tokenize('Redis REDIS redis-client, Ошибка 42'), ['redis', 'client', 'ошибка', '42']);
+    });
+
+    test('indexes every report with its file name', async () => {
+      const index = await refreshSearchIndex(project);
+      assert.equal(index, project.searchIndex);
+
+      assert.equal(index.reports.size, 3);
+      assert.deepEqual([...index.postings.get('redis')].sort(), ['2025-09-01-redis/001-investigation.md', '2025-10-01-login/001-bug.md']);
+      assert.deepEqual([...index.postings.get('config')], ['2025-09-01-redis/002-config.md']);
+    });
+
+    test('narrows a query down to reports containing all of its words as substrings', async () => {
+      await refreshSearchIndex(project);
+      const index = project.searchIndex;
+
+      assert.deepEqual([...findIndexCandidates(index, 'redis cli')], ['2025-09-01-redis/001-investigation.md']);
+      assert.deepEqual([...findIndexCandidates(index, 'REDIS')].sort(), ['2025-09-01-redis/001-investigation.md', '2025-10-01-login/001-bug.md']);
+      assert.equal(findIndexCandidates(index, 'kafka').size, 0);
+      assert.equal(findIndexCandidates(index, '--'), null);
+    });
+
+    test('picks up files edited, added and removed outside Bureau', async () => {
+      const index = await refreshSearchIndex(project);
+
+      vol.writeFileSync('/_tasks/2025-09-01-redis/002-config.md', 'maxmemory 4gb, eviction allkeys-lru');
+      vol.writeFileSync('/_tasks/2025-10-01-login/002-fix.md', 'kafka');
+      vol.unlinkSync('/_tasks/2025-10-01-login/001-bug.md');
+
+      await refreshSearchIndex(project);
+      assert.deepEqual([...findIndexCandidates(index, 'eviction')], ['2025-09-01-redis/002-config.md']);
+      assert.deepEqual([...findIndexCandidates(index, 'kafka')], ['2025-10-01-login/002-fix.md']);
+      assert.deepEqual([...findIndexCandidates(index, 'redis')], ['2025-09-01-redis/001-investigation.md']);
+      assert.equal(index.postings.has('login'), false);
+    });
+
+    test('keeps every report of concurrent writes when the index is on', async () => {
+      const indexed = new Bureau(createTestProject({ searchIndex: true }));
+      for (let i = 0; i < 20; i++) {
+        vol.mkdirSync(`/_tasks/2025-10-${String(i + 10)}-task`);
+        await updateCurrentPointer(project, `2025-10-${String(i + 10)}-task`, `agent-${i}`);
+      }
+
+      const writes = [];
+      for (let i = 0; i < 20; i++) {
+        writes.push(callTool(indexed, 'write_report', { suffix: 'note', content: `note ${i}`, session_id: `agent-${i}` }));
+      }
+      await Promise.all(writes);
+
+      const saved = JSON.parse(vol.readFileSync('/_tasks/.bureau/index.json', 'utf8'));
+      assert.equal(Object.keys(saved.reports).filter(key => key.endsWith('-note.md')).length, 20);
+      assert.deepEqual(vol.readdirSync('/_tasks/.bureau').filter(name => name.endsWith('.tmp')), []);
+    });
+
+    test('search_reports finds reports written through Bureau when the index is on', async () => {
+      const indexed = new Bureau(createTestProject({ searchIndex: true }));
+      vol.symlinkSync('2025-10-01-login', CURRENT_LINK);
+
+      await callTool(indexed, 'write_report', { suffix: 'kafka', content: 'Kafka consumer lag' });
+      const result = await callTool(indexed, 'search_reports', { query: 'consumer lag' });
+      assert.deepEqual(result.matches.map(match => [match.task_dir, match.report_file]), [['2025-10-01-login', '_tasks/2025-10-01-login/002-kafka.md']]);
+      assert.ok(vol.existsSync('/_tasks/.bureau/index.json'));
+    });
+  });
+
+  describe('Task lifecycle tools', () => {
+    beforeEach(() => {
+      vol.fromJSON({
+        '/_tasks/2025-10-01-fix-lgoin/001-bug.md': 'content',
+        '/_tasks/2025-10-01-fix-lgoin/task.json': JSON.stringify({ title: 'Login' }),
+        '/_tasks/2025-10-02-follow-up/task.json': JSON.stringify({ parent: '2025-10-01-fix-lgoin' }),
+        '/_tasks/2025-10-03-oops/task.json': '{}'
+      });
+      vol.symlinkSync('2025-10-01-fix-lgoin', '/_tasks/current');
+    });
+
+    test('renames a task keeping the date prefix, current symlink and parent links', async () => {
+      const newTaskDir = await renameTask(project, '2025-10-01-fix-lgoin', 'fix-login');
+      assert.equal(newTaskDir, '2025-10-01-fix-login');
+      assert.ok(vol.existsSync('/_tasks/2025-10-01-fix-login/001-bug.md'));
+      assert.equal(await getCurrentTaskDir(project), '2025-10-01-fix-login');
+
+      const childMeta = await readTaskMeta(project, '2025-10-02-follow-up');
+      assert.equal(childMeta.parent, '2025-10-01-fix-login');
+    });
+
+    test('refuses to rename onto an existing task', async () => {
+      vol.mkdirSync('/_tasks/2025-10-01-fix-login');
+      await assert.rejects(
+        renameTask(project, '2025-10-01-fix-lgoin', 'fix-login'),
+        /Task directory already exists/
+      );
+    });
+
+    test('archives the current task out of listings and clears current', async () => {
+      const result = await archiveTask(project, '2025-10-01-fix-lgoin');
+      assert.deepEqual(result, { taskPath: '_archive/2025-10-01-fix-lgoin', wasCurrent: true });
+      assert.equal(await getCurrentTaskDir(project), null);
+      assert.deepEqual(await getAllTaskDirs(project), ['2025-10-02-follow-up', '2025-10-03-oops']);
+      assert.ok(vol.existsSync('/_tasks/_archive/2025-10-01-fix-lgoin/001-bug.md'));
+    });
+
+    test('restores an archived task', async () => {
+      await archiveTask(project, '2025-10-03-oops');
+      const result = await archiveTask(project, '2025-10-03-oops', { restore: true });
+      assert.deepEqual(result, { taskPath: '2025-10-03-oops', wasCurrent: false });
+      assert.ok(vol.existsSync('/_tasks/2025-10-03-oops/task.json'));
+      assert.equal(await getCurrentTaskDir(project), '2025-10-01-fix-lgoin');
+    });
+
+    test('deletes tasks that hold only metadata', async () => {
+      const result = await deleteTask(project, '2025-10-03-oops');
+      assert.deepEqual(result, { wasCurrent: false, deletedFiles: 0 });
+      assert.ok(!vol.existsSync('/_tasks/2025-10-03-oops'));
+    });
+
+    test('refuses to delete tasks with reports unless forced', async () => {
+      await assert.rejects(deleteTask(project, '2025-10-01-fix-lgoin'), /is not empty; pass force: true/);
+      assert.ok(vol.existsSync('/_tasks/2025-10-01-fix-lgoin/001-bug.md'));
+
+      const result = await deleteTask(project, '2025-10-01-fix-lgoin', { force: true });
+      assert.deepEqual(result, { wasCurrent: true, deletedFiles: 1 });
+      assert.ok(!vol.existsSync('/_tasks/2025-10-01-fix-lgoin'));
+      assert.equal(await getCurrentTaskDir(project), null);
+    });
+
+    test('delete_task only takes a full directory name or whole slug', async () => {
+      for (const task of ['fix', 'lgoin', 'fix-lg', '2025-10-01-fix']) {
+        await assert.rejects(callTool(bureau, 'delete_task', { task, force: true }), /Task not found: .*full task directory name or slug/);
+      }
+      assert.ok(vol.existsSync('/_tasks/2025-10-01-fix-lgoin/001-bug.md'));
+
+      assert.equal((await callTool(bureau, 'delete_task', { task: 'fix-lgoin', force: true })).deleted_task, '2025-10-01-fix-lgoin');
+      assert.equal((await callTool(bureau, 'delete_task', { task: '2025-10-03-oops' })).deleted_task, '2025-10-03-oops');
+    });
+  });
+
+  describe('renumber_reports tool', () => {
+    const TASK_DIR = '2025-10-01-task';
+    const TASK_PATH = `/_tasks/${TASK_DIR}`;
+
+    beforeEach(() => {
+      vol.fromJSON({
+        [`${TASK_PATH}/001-request.md`]: 'See 007-findings.md and 11-fix.md',
+        [`${TASK_PATH}/002-plan.md`]: 'plan',
+        [`${TASK_PATH}/007-findings.md`]: 'Back to 001-request.md; not 0007-findings.md',
+        [`${TASK_PATH}/11-fix.md`]: 'fix',
+        [`${TASK_PATH}/012-review.md`]: 'review of 11-fix.md'
+      });
+    });
+
+    test('compacts gaps and updates links between reports', async () => {
+      const result = await renumberReports(project, TASK_DIR, { mode: 'compact' });
+      assert.deepEqual(result.renames, [
+        { from: '007-findings.md', to: '003-findings.md' },
+        { from: '11-fix.md', to: '004-fix.md' },
+        { from: '012-review.md', to: '005-review.md' }
+      ]);
+      assert.deepEqual(
+        (await memoryFs.promises.readdir(TASK_PATH)).sort(),
+        ['001-request.md', '002-plan.md', '003-findings.md', '004-fix.md', '005-review.md']
+      );
+      assert.equal(vol.readFileSync(`${TASK_PATH}/001-request.md`, 'utf8'), 'See 003-findings.md and 004-fix.md');
+      assert.equal(vol.readFileSync(`${TASK_PATH}/005-review.md`, 'utf8'), 'review of 004-fix.md');
+      assert.equal(vol.readFileSync(`${TASK_PATH}/003-findings.md`, 'utf8'), 'Back to 001-request.md; not 0007-findings.md');
+    });
+
+    test('normalizes prefix width without changing numbers', async () => {
+      const result = await renumberReports(project, TASK_DIR, { mode: 'normalize' });
+      assert.deepEqual(result.renames, [{ from: '11-fix.md', to: '011-fix.md' }]);
+      assert.deepEqual(result.updated_links, [
+        { file: '001-request.md', replacements: 1 },
+        { file: '012-review.md', replacements: 1 }
+      ]);
+    });
+
+    test('moves a report, shifting the ones in between', async () => {
+      await renumberReports(project, TASK_DIR, { mode: 'move', file: '012-review.md', position: 2 });
+      assert.deepEqual(
+        (await memoryFs.promises.readdir(TASK_PATH)).sort(),
+        ['001-request.md', '002-review.md', '003-plan.md', '004-findings.md', '005-fix.md']
+      );
+      assert.equal(vol.readFileSync(`${TASK_PATH}/002-review.md`, 'utf8'), 'review of 005-fix.md');
+    });
+
+    test('inserts a new report after an existing one', async () => {
+      const result = await renumberReports(project, TASK_DIR, {
+        mode: 'insert', after: '001-request.md', suffix: 'context', content: '# Context\n'
+      });
+      assert.equal(result.inserted, '_tasks/2025-10-01-task/002-context.md');
+      assert.equal(vol.readFileSync(`${TASK_PATH}/002-context.md`, 'utf8'), '# Context\n');
+      assert.equal(vol.readFileSync(`${TASK_PATH}/003-plan.md`, 'utf8'), 'plan');
+    });
+
+    test('dry run plans renames without touching files', async () => {
+      const before = vol.toJSON();
+      const result = await renumberReports(project, TASK_DIR, { mode: 'compact', dryRun: true });
+      assert.equal(result.dry_run, true);
+      assert.equal(result.renames.length, 3);
+      assert.deepEqual(vol.toJSON(), before);
+    });
+
+    test('widens the prefix when numbers do not fit', async () => {
+      const result = await renumberReports(project, TASK_DIR, { mode: 'normalize', width: 1 });
+      assert.deepEqual(result.renames.map(rename => rename.to), ['01-request.md', '02-plan.md', '07-findings.md', '12-review.md']);
+    });
+
+    test('refuses to normalize duplicate numbers', async () => {
+      vol.writeFileSync(`${TASK_PATH}/2-plan.md`, 'other plan');
+      await assert.rejects(
+        renumberReports(project, TASK_DIR, { mode: 'normalize' }),
+        /would produce 002-plan.md twice/
+      );
+    });
+  });
+
+  describe('Subtasks', () => {
+    beforeEach(() => {
+      vol.fromJSON({
+        '/_tasks/2025-10-01-feature/001-request.md': 'content',
+        '/_tasks/2025-10-01-feature/task.json': JSON.stringify({ title: 'Feature' }),
+        '/_tasks/2025-10-02-investigate/task.json': JSON.stringify({ parent: '2025-10-01-feature' }),
+        '/_tasks/2025-10-03-deeper/task.json': JSON.stringify({ parent: '2025-10-02-investigate', title: 'Deeper' }),
+        '/_tasks/2025-10-03-unrelated/task.json': '{}'
+      });
+      vol.symlinkSync('2025-10-03-deeper', '/_tasks/current');
+    });
+
+    test('reports the parent chain nearest first and the direct subtasks', async () => {
+      assert.deepEqual(await getTaskHierarchy(project, '2025-10-03-deeper'), {
+        parent_chain: [
+          { task_dir: '2025-10-02-investigate', title: null, status: 'active' },
+          { task_dir: '2025-10-01-feature', title: 'Feature', status: 'active' }
+        ],
+        subtasks: []
+      });
+      assert.deepEqual(await getTaskHierarchy(project, '2025-10-02-investigate'), {
+        parent_chain: [{ task_dir: '2025-10-01-feature', title: 'Feature', status: 'active' }],
+        subtasks: [{ task_dir: '2025-10-03-deeper', title: 'Deeper', status: 'active' }]
+      });
+    });
+
+    test('stops the parent chain at cycles and missing parents', async () => {
+      vol.writeFileSync('/_tasks/2025-10-01-feature/task.json', JSON.stringify({ parent: '2025-10-03-deeper' }));
+      const { parent_chain } = await getTaskHierarchy(project, '2025-10-03-deeper');
+      assert.deepEqual(parent_chain.map(task => task.task_dir), ['2025-10-02-investigate', '2025-10-01-feature']);
+
+      vol.rmSync('/_tasks/2025-10-01-feature', { recursive: true });
+      const afterDelete = await getTaskHierarchy(project, '2025-10-03-deeper');
+      assert.deepEqual(afterDelete.parent_chain.map(task => task.task_dir), ['2025-10-02-investigate']);
+    });
+
+    test('finishing a subtask marks it done, files the summary and returns to the parent', async () => {
+      const result = await finishSubtask(project, '2025-10-03-deeper', { summary: '# Findings\n' });
+      assert.deepEqual(result, { parentDir: '2025-10-02-investigate', summaryFile: '001-deeper-summary.md', wasCurrent: true });
+      assert.equal((await readTaskMeta(project, '2025-10-03-deeper')).status, 'done');
+      assert.equal(vol.readFileSync('/_tasks/2025-10-02-investigate/001-deeper-summary.md', 'utf8'), '# Findings\n');
+      assert.equal(await getCurrentTaskDir(project), '2025-10-02-investigate');
+    });
+
+    test('finishing a subtask that is not current leaves the current task alone', async () => {
+      const result = await finishSubtask(project, '2025-10-02-investigate', { status: 'abandoned' });
+      assert.deepEqual(result, { parentDir: '2025-10-01-feature', summaryFile: null, wasCurrent: false });
+      assert.equal(await getCurrentTaskDir(project), '2025-10-03-deeper');
+      assert.deepEqual(await memoryFs.promises.readdir('/_tasks/2025-10-01-feature'), ['001-request.md', 'task.json']);
+    });
+
+    test('refuses to finish a task without a parent', async () => {
+      await assert.rejects(
+        finishSubtask(project, '2025-10-03-unrelated'),
+        /is not a subtask/
+      );
+    });
+  });
+
+  describe('Task templates', () => {
+    const TEMPLATES_DIR = '/.bureau/templates';
+
+    beforeEach(() => {
+      vol.fromJSON({
+        [`${TEMPLATES_DIR}/feature/001-user-request.md`]: '# {{title}}\n\n{{ request }}\n',
+        [`${TEMPLATES_DIR}/feature/2-plan.md`]: '# Plan for {{slug}} ({{date}})\n{{unknown}}\n',
+        [`${TEMPLATES_DIR}/feature/10-checklist.md`]: '- [ ] tests\n',
+        [`${TEMPLATES_DIR}/feature/template.json`]: JSON.stringify({ description: 'Feature skeleton' }),
+        [`${TEMPLATES_DIR}/feature/notes.txt`]: 'not a report',
+        [`${TEMPLATES_DIR}/bugfix/001-repro.md`]: '# Repro\n',
+        [`${TEMPLATES_DIR}/Bad Name/001-x.md`]: 'x',
+        '/_tasks/2025-10-01-csv-export/task.json': '{}'
+      });
+    });
+
+    test('lists templates with valid names', async () => {
+      assert.deepEqual(await listTemplateNames(project), ['bugfix', 'feature']);
+      assert.deepEqual(await listTemplateNames({ ...project, templatesDir: '/missing' }), []);
+    });
+
+    test('loads template reports in number order', async () => {
+      const template = await loadTemplate(project, 'feature');
+      assert.equal(template.description, 'Feature skeleton');
+      assert.deepEqual(template.reports.map(report => report.fileName), ['001-user-request.md', '2-plan.md', '10-checklist.md']);
+      assert.equal((await loadTemplate(project, 'bugfix')).description, null);
+    });
+
+    test('reports available templates for an unknown name', async () => {
+      await assert.rejects(loadTemplate(project, 'nope'), error => {
+        assert.match(error.message, /Template "nope" not found/);
+        assert.deepEqual(error.details, { available_templates: ['bugfix', 'feature'] });
+        return true;
+      });
+      await assert.rejects(loadTemplate(project, '../feature'), /Invalid template/);
+    });
+
+    test('expands a template into renumbered reports with variables substituted', async () => {
+      const template = await loadTemplate(project, 'feature');
+      const created = await expandTemplate(project, '2025-10-01-csv-export', template, {
+        slug: 'csv-export', date: '2025-10-01', title: 'CSV export', request: 'Add a CSV button'
+      });
+
+      assert.deepEqual(created, ['001-user-request.md', '002-plan.md', '003-checklist.md']);
+      assert.equal(vol.readFileSync('/_tasks/2025-10-01-csv-export/001-user-request.md', 'utf8'), '# CSV export\n\nAdd a CSV button\n');
+      assert.equal(vol.readFileSync('/_tasks/2025-10-01-csv-export/002-plan.md', 'utf8'), '# Plan for csv-export (2025-10-01)\n{{unknown}}\n');
+    });
+
+    test('start_new_task seeds the task from a template', async () => {
+      const taskInfo = await callTool(bureau, 'start_new_task', {
+        task_slug: 'csv-button', title: 'CSV button', template: 'feature', request: 'Add a CSV button'
+      });
+      assert.deepEqual(taskInfo.report_file_names, ['001-user-request.md', '002-plan.md', '003-checklist.md']);
+      assert.equal(vol.readFileSync('/_tasks/2025-10-15-csv-button/002-plan.md', 'utf8'), '# Plan for csv-button (2025-10-15)\n{{unknown}}\n');
+
+      await assert.rejects(callTool(bureau, 'start_new_task', { task_slug: 'other', template: 'nope' }), error => {
+        assert.deepEqual(error.details.available_templates, ['bugfix', 'feature']);
+        return true;
+      });
+      assert.ok(!vol.existsSync('/_tasks/2025-10-15-other'));
+
+      const { templates } = await callTool(bureau, 'list_templates');
+      assert.deepEqual(templates.map(template => template.name), ['bugfix', 'feature']);
+    });
+  });
+
+  describe('Resource URIs', () => {
+    const otherProject = () => ({ ...createTestProject(), name: 'my app' });
+
+    test('builds task and report URIs', () => {
+      assert.equal(bureau.resourceUri(project, '2025-10-01-fix-login'), 'bureau://task/2025-10-01-fix-login');
+      assert.equal(bureau.resourceUri(project, '2025-10-01-fix-login', '001-bug.md'), 'bureau://task/2025-10-01-fix-login/001-bug.md');
+      assert.equal(bureau.resourceUri(otherProject(), '2025-10-01-x', '001-a.md'), 'bureau://task/2025-10-01-x/001-a.md?project=my%20app');
+      assert.equal(bureau.currentTaskUri(otherProject()), 'bureau://current?project=my%20app');
+    });
+
+    test('parses URIs back into references', () => {
+      assert.deepEqual(parseResourceUri('bureau://current'), { projectRef: undefined, current: true, taskRef: undefined, file: undefined });
+      assert.deepEqual(parseResourceUri('bureau://task/fix-login/001-bug.md?project=backend'), {
+        projectRef: 'backend', current: false, taskRef: 'fix-login', file: '001-bug.md'
+      });
+      const uri = bureau.resourceUri(otherProject(), '2025-10-01-x', '001-a.md');
+      assert.deepEqual(parseResourceUri(uri), { projectRef: 'my app', current: false, taskRef: '2025-10-01-x', file: '001-a.md' });
+    });
+
+    test('rejects unknown URIs and nested paths', () => {
+      assert.throws(() => parseResourceUri('bureau://reports'), /Unknown resource/);
+      assert.throws(() => parseResourceUri('bureau://task/a/b/c.md'), /Unknown resource/);
+      assert.throws(() => parseResourceUri('file:///etc/passwd'), /Unknown resource/);
+    });
+
+    test('encoded separators stay inside one segment', () => {
+      // Confinement to the task directory is left to resolveReportFileName
+      assert.equal(parseResourceUri('bureau://task/x/..%2F..%2Fetc.md').file, '../../etc.md');
+    });
+  });
+
+  describe('Prompts', () => {
+    const taskInfo = {
+      task_slug: 'csv-export',
+      reports_dir: '_tasks/2025-10-01-csv-export',
+      report_file_names: ['001-user-request.md', '002-plan.md'],
+      title: 'CSV export',
+      status: 'active',
+      parent: null,
+      summary: null
+    };
+
+    test('describes the task with its reports', () => {
+      assert.equal(describeTaskForPrompt(taskInfo), [
+        'Current task: csv-export (CSV export), status active',
+        'Reports directory: _tasks/2025-10-01-csv-export',
+        'Reports:',
+        '- 001-user-request.md',
+        '- 002-plan.md'
+      ].join('\n'));
+    });
+
+    test('mentions the parent and summary, and tasks without reports', () => {
+      const text = describeTaskForPrompt({
+        ...taskInfo, title: null, parent: '2025-09-30-export', summary: 'Half done', report_file_names: []
+      });
+      assert.equal(text, [
+        'Current task: csv-export, status active',
+        'Reports directory: _tasks/2025-10-01-csv-export',
+        'Parent task: 2025-09-30-export',
+        'Summary: Half done',
+        'Reports: none yet'
+      ].join('\n'));
+    });
+  });
+
+  describe('Change detection', () => {
+    beforeEach(() => {
+      vol.fromJSON({
+        '/_tasks/2025-10-01-first/001-request.md': 'request',
+        '/_tasks/2025-10-01-first/002-plan.md': 'plan',
+        '/_tasks/2025-10-02-second/task.json': '{}',
+        '/_tasks/.bureau/index.json': '{}'
+      });
+      vol.symlinkSync('2025-10-01-first', '/_tasks/current');
+    });
+
+    const snapshot = () => snapshotTasks(project);
+
+    test('reports nothing when nothing changed', async () => {
+      const before = await snapshot();
+      vol.writeFileSync('/_tasks/.bureau/index.json', '{"changed":true}');
+      assert.deepEqual(diffSnapshots(before, await snapshot()), { currentChanged: false, listChanged: false, tasks: [] });
+    });
+
+    test('detects added, removed and modified reports', async () => {
+      const before = await snapshot();
+      vol.writeFileSync('/_tasks/2025-10-01-first/003-notes.md', 'notes');
+      vol.unlinkSync('/_tasks/2025-10-01-first/001-request.md');
+      vol.writeFileSync('/_tasks/2025-10-01-first/002-plan.md', 'a longer plan');
+
+      assert.deepEqual(diffSnapshots(before, await snapshot()).tasks, [{
+        taskDir: '2025-10-01-first',
+        files: ['001-request.md', '002-plan.md', '003-notes.md'],
+        listChanged: true
+      }]);
+    });
+
+    test('detects a modified report without listing changes', async () => {
+      const before = await snapshot();
+      vol.writeFileSync('/_tasks/2025-10-01-first/002-plan.md', 'a longer plan');
+      assert.deepEqual(diffSnapshots(before, await snapshot()).tasks, [
+        { taskDir: '2025-10-01-first', files: ['002-plan.md'], listChanged: false }
+      ]);
+    });
+
+    test('detects metadata changes, new tasks and a moved current symlink', async () => {
+      const before = await snapshot();
+      vol.writeFileSync('/_tasks/2025-10-02-second/task.json', '{"status":"done"}');
+      vol.mkdirSync('/_tasks/2025-10-03-third');
+      vol.unlinkSync('/_tasks/current');
+      vol.symlinkSync('2025-10-02-second', '/_tasks/current');
+
+      assert.deepEqual(diffSnapshots(before, await snapshot()), {
+        currentChanged: true,
+        listChanged: true,
+        tasks: [{ taskDir: '2025-10-02-second', files: [], listChanged: false }]
+      });
+    });
+
+    test('a polling watcher announces changes made outside Bureau', async () => {
+      const watched = new Bureau(createTestProject({ watchInterval: 100 }));
+      const events = [];
+      watched.on('resourceUpdated', uri => events.push(uri));
+      watched.on('resourceListChanged', () => events.push('list_changed'));
+
+      // memfs has no fs.watch, so this polls
+      const stop = await watched.watchProject(watched.defaultProject, true);
+      try {
+        vol.writeFileSync('/_tasks/2025-10-01-first/003-notes.md', 'notes');
+        await sleep(250);
+      } finally {
+        stop();
+      }
+      assert.deepEqual(events, [
+        'bureau://task/2025-10-01-first',
+        'bureau://task/2025-10-01-first/003-notes.md',
+        'bureau://current',
+        'list_changed'
+      ]);
+    });
+  });
+
+  describe('Current task tracking', () => {
+    const noSymlinkFs = Object.assign(Object.create(memoryFs.promises), {
+      symlink: async () => {
+        throw Object.assign(new Error('EPERM: operation not permitted, symlink'), { code: 'EPERM' });
+      }
+    });
+
+    beforeEach(() => {
+      vol.fromJSON({
+        '/_tasks/2025-10-01-first/001-a.md': 'a',
+        '/_tasks/2025-10-02-second/001-b.md': 'b'
+      });
+    });
+
+    test('auto mode writes both the symlink and the state file', async () => {
+      await updateCurrentPointer(createTestProject({ currentTracking: 'auto' }), '2025-10-02-second');
+      assert.equal(vol.readlinkSync('/_tasks/current'), '2025-10-02-second');
+      assert.equal(vol.readFileSync('/_tasks/.current', 'utf8'), '2025-10-02-second\n');
+      assert.deepEqual(await readCurrentPointers(project), {
+        symlink: '2025-10-02-second', stateFile: '2025-10-02-second', current: '2025-10-02-second', consistent: true
+      });
+    });
+
+    test('auto mode falls back to the state file without symlink support', async () => {
+      await updateCurrentPointer(createTestProject({ currentTracking: 'auto' }, { fs: noSymlinkFs }), '2025-10-01-first');
+      assert.ok(!vol.existsSync('/_tasks/current'));
+      assert.equal((await readCurrentPointers(project)).current, '2025-10-01-first');
+    });
+
+    test('symlink mode fails without symlink support and removes a stale state file', async () => {
+      await assert.rejects(updateCurrentPointer(createTestProject({ currentTracking: 'symlink' }, { fs: noSymlinkFs }), '2025-10-01-first'), /EPERM/);
+
+      vol.writeFileSync('/_tasks/.current', '2025-10-02-second\n');
+      await updateCurrentPointer(createTestProject({ currentTracking: 'symlink' }), '2025-10-01-first');
+      assert.ok(!vol.existsSync('/_tasks/.current'));
+      assert.equal((await readCurrentPointers(project)).current, '2025-10-01-first');
+    });
+
+    test('file mode replaces the symlink with the state file', async () => {
+      vol.symlinkSync('2025-10-02-second', '/_tasks/current');
+      await updateCurrentPointer(createTestProject({ currentTracking: 'file' }), '2025-10-01-first');
+      assert.ok(!vol.existsSync('/_tasks/current'));
+      assert.equal((await readCurrentPointers(project)).current, '2025-10-01-first');
+    });
+
+    test('reads a symlink that a checkout turned into a plain file', async () => {
+      vol.writeFileSync('/_tasks/current', '2025-10-02-second');
+      assert.equal((await readCurrentPointers(project)).current, '2025-10-02-second');
+    });
+
+    test('uses the more recent pointer when they disagree', async () => {
+      vol.writeFileSync('/_tasks/.current', '2025-10-02-second\n');
+      vol.utimesSync('/_tasks/.current', new Date('2025-10-01'), new Date('2025-10-01'));
+      vol.symlinkSync('2025-10-01-first', '/_tasks/current');
+      assert.deepEqual(await readCurrentPointers(project), {
+        symlink: '2025-10-01-first', stateFile: '2025-10-02-second', current: '2025-10-01-first', consistent: false
+      });
+
+      const future = new Date(Date.now() + 60000);
+      vol.utimesSync('/_tasks/.current', future, future);
+      assert.equal((await readCurrentPointers(project)).current, '2025-10-02-second');
+
+      const taskInfo = await callTool(bureau, 'current_task');
+      assert.equal(taskInfo.task_slug, 'second');
+      assert.match(taskInfo.current_conflict, /symlink points to 2025-10-01-first but \.current names 2025-10-02-second/);
+      await callTool(bureau, 'switch_task', { task_slug: 'second' });
+      assert.equal((await readCurrentPointers(project)).consistent, true);
+    });
+
+    test('survives concurrent switches in one process', async () => {
+      const switches = [];
+      for (let i = 0; i < 8; i++) {
+        switches.push(callTool(bureau, 'switch_task', { task_slug: i % 2 ? 'first' : 'second', session_id: `agent-${i}` }));
+      }
+      await Promise.all(switches);
+      assert.ok(['2025-10-01-first', '2025-10-02-second'].includes((await readCurrentPointers(project)).current));
+      assert.deepEqual(vol.readdirSync('/_tasks').filter(name => name.endsWith('.tmp')), []);
+    });
+
+    test('reports no current task when neither pointer exists', async () => {
+      assert.deepEqual(await readCurrentPointers(project), {
+        symlink: null, stateFile: null, current: null, consistent: true
+      });
+    });
+  });
+
+  describe('Sessions', () => {
+    beforeEach(() => {
+      vol.fromJSON({
+        '/_tasks/2025-10-01-first/001-a.md': 'a',
+        '/_tasks/2025-10-02-second/001-b.md': 'b',
+        '/_tasks/2025-10-03-third/.keep': ''
+      });
+      vol.symlinkSync('2025-10-01-first', CURRENT_LINK);
+    });
+
+    test('keeps a current task per session while the global pointers follow the latest switch', async () => {
+      await callTool(bureau, 'switch_task', { task_slug: 'second', session_id: 'agent-a' });
+      await callTool(bureau, 'switch_task', { task_slug: 'third', session_id: 'agent-b' });
+
+      assert.equal(await getCurrentTaskDir(project, 'agent-a'), '2025-10-02-second');
+      assert.equal(await getCurrentTaskDir(project, 'agent-b'), '2025-10-03-third');
+      assert.equal(await getCurrentTaskDir(project), '2025-10-03-third');
+      assert.equal(vol.readlinkSync(CURRENT_LINK), '2025-10-03-third');
+
+      const result = await callTool(bureau, 'write_report', { suffix: 'notes', content: 'notes', session_id: 'agent-a' });
+      assert.equal(result.report_file, '_tasks/2025-10-02-second/002-notes.md');
+      assert.equal((await callTool(bureau, 'current_task', { session_id: 'agent-a' })).task_slug, 'second');
+    });
+
+    test('follows the global pointers until the session switches tasks', async () => {
+      assert.equal((await callTool(bureau, 'current_task', { session_id: 'new-agent' })).task_slug, 'first');
+      assert.equal(await readSessionPointer(project, 'new-agent'), null);
+    });
+
+    test('lists sessions, most recently switched first', async () => {
+      await updateCurrentPointer(createTestProject({}, { clock: () => new Date('2025-10-15T09:00:00Z') }), '2025-10-02-second', 'agent-a');
+      await updateCurrentPointer(project, '2025-10-03-third', 'agent-b');
+
+      assert.deepEqual(await callTool(bureau, 'list_sessions', { session_id: 'agent-a' }), {
+        your_session: 'agent-a',
+        global_current_task: '2025-10-03-third',
+        sessions: [
+          { session_id: 'agent-b', task_dir: '2025-10-03-third', updated: '2025-10-15T12:00:00.000Z' },
+          { session_id: 'agent-a', task_dir: '2025-10-02-second', updated: '2025-10-15T09:00:00.000Z' }
+        ]
+      });
+    });
+
+    test('moves sessions along with renamed tasks and off archived and deleted ones', async () => {
+      await updateCurrentPointer(project, '2025-10-02-second', 'agent-a');
+      await updateCurrentPointer(project, '2025-10-03-third', 'agent-b');
+
+      await renameTask(project, '2025-10-02-second', 'renamed');
+      assert.equal(await getCurrentTaskDir(project, 'agent-a'), '2025-10-02-renamed');
+
+      const archived = await callTool(bureau, 'archive_task', { task: 'renamed', session_id: 'agent-b' });
+      assert.equal(archived.was_current, false);
+      assert.equal(await getCurrentTaskDir(project, 'agent-a'), null);
+      assert.equal(await getCurrentTaskDir(project), '2025-10-03-third');
+
+      await callTool(bureau, 'delete_task', { task: 'third', force: true });
+      assert.equal(await getCurrentTaskDir(project, 'agent-b'), null);
+      assert.equal(await getCurrentTaskDir(project), null);
+    });
+
+    test('rejects session ids that are not plain names', async () => {
+      await assert.rejects(callTool(bureau, 'current_task', { session_id: '../current' }), /Invalid session_id "\.\.\/current"/);
+      assert.throws(() => validateSessionId(''), /Invalid session_id/);
+      assert.equal(validateSessionId('3f2a9c1e-agent_1.x'), '3f2a9c1e-agent_1.x');
+    });
+  });
+
+  describe('Task claims', () => {
+    beforeEach(() => {
+      vol.fromJSON({
+        '/_tasks/2025-10-01-feature/001-request.md': 'request',
+        '/_tasks/2025-10-02-other/.keep': ''
+      });
+      vol.symlinkSync('2025-10-01-feature', CURRENT_LINK);
+    });
+
+    test('stops other sessions from writing to a claimed task until it is released', async () => {
+      const claim = await callTool(bureau, 'claim_task', { session_id: 'agent-a', lease_minutes: 10 });
+      assert.deepEqual(claim, {
+        task_dir: '2025-10-01-feature',
+        claimed_by: 'agent-a',
+        claimed_since: '2025-10-15T12:00:00.000Z',
+        claimed_until: '2025-10-15T12:10:00.000Z'
+      });
+
+      await assert.rejects(
+        callTool(bureau, 'write_report', { suffix: 'notes', content: 'x', session_id: 'agent-b' }),
+        error => {
+          assert.equal(error.message, 'Task 2025-10-01-feature is claimed by agent-a until 2025-10-15T12:10:00.000Z; ' +
+            'you can still read it, or wait for release_task or the lease to run out');
+          assert.equal(error.details.claimed_by, 'agent-a');
+          return true;
+        }
+      );
+      await assert.rejects(callTool(bureau, 'set_task_status', { status: 'done' }), /claimed by agent-a/);
+      assert.equal((await callTool(bureau, 'read_report', { file: '001-request.md', session_id: 'agent-b' })).content, 'request');
+      assert.equal((await callTool(bureau, 'current_task', { session_id: 'agent-b' })).claimed_by, 'agent-a');
+
+      await callTool(bureau, 'write_report', { suffix: 'notes', content: 'x', session_id: 'agent-a' });
+      await assert.rejects(callTool(bureau, 'release_task', { session_id: 'agent-b' }), /pass force: true/);
+      assert.deepEqual(await callTool(bureau, 'release_task', { session_id: 'agent-a' }), {
+        task_dir: '2025-10-01-feature', released: true, claimed_by: 'agent-a'
+      });
+      await callTool(bureau, 'write_report', { suffix: 'more', content: 'y', session_id: 'agent-b' });
+    });
+
+    test('frees a task once the lease runs out, and keeps the start of renewed claims', async () => {
+      await claimTask(project, '2025-10-01-feature', 'agent-a', { leaseMinutes: 5 });
+      const later = createTestProject({}, { clock: () => new Date('2025-10-15T12:04:00Z') });
+      const renewed = await claimTask(later, '2025-10-01-feature', 'agent-a', { leaseMinutes: 5 });
+      assert.deepEqual(renewed, { owner: 'agent-a', claimed: '2025-10-15T12:00:00.000Z', expires: '2025-10-15T12:09:00.000Z' });
+      await assert.rejects(claimTask(later, '2025-10-01-feature', 'agent-b'), /claimed by agent-a/);
+
+      const afterLease = createTestProject({}, { clock: () => new Date('2025-10-15T12:09:00Z') });
+      assert.equal(await readTaskClaim(afterLease, '2025-10-01-feature'), null);
+      assert.equal((await claimTask(afterLease, '2025-10-01-feature', 'agent-b')).owner, 'agent-b');
+    });
+
+    test('keeps claims on disk for other processes, moving them with renamed tasks', async () => {
+      await callTool(bureau, 'claim_task', { task: 'other', session_id: 'agent-a' });
+      assert.equal(JSON.parse(vol.readFileSync('/_tasks/.bureau/claims/2025-10-02-other.json', 'utf8')).owner, 'agent-a');
+
+      await callTool(bureau, 'rename_task', { task: 'other', new_slug: 'renamed', session_id: 'agent-a' });
+      assert.equal((await readTaskClaim(project, '2025-10-02-renamed')).owner, 'agent-a');
+      await assert.rejects(callTool(bureau, 'archive_task', { task: 'renamed' }), /claimed by agent-a/);
+
+      await callTool(bureau, 'release_task', { task: 'renamed', force: true });
+      await callTool(bureau, 'archive_task', { task: 'renamed' });
+      assert.deepEqual(vol.readdirSync('/_tasks/.bureau/claims'), []);
+    });
+
+    test('checks the claim under the task lock, so changes waiting for the lock see a claim taken meanwhile', async () => {
+      for (const [name, args] of [
+        ['write_report', { suffix: 'notes', content: 'x' }],
+        ['start_new_report_file', { suffix: 'notes' }],
+        ['append_to_report', { file: '001-request.md', content: 'x' }],
+        ['rename_task', { new_slug: 'renamed' }],
+        ['archive_task', {}],
+        ['delete_task', { task: '2025-10-01-feature', force: true }],
+        ['renumber_reports', { mode: 'normalize', width: 4 }],
+        ['update_task', { title: 'Taken' }],
+        ['set_task_status', { status: 'done' }]
+      ]) {
+        let pending;
+        await withTaskLock(project, '2025-10-01-feature', async () => {
+          pending = callTool(bureau, name, { ...args, session_id: 'agent-b' });
+          pending.catch(() => {});
+          await sleep(20);
+          vol.mkdirSync('/_tasks/.bureau/claims', { recursive: true });
+          vol.writeFileSync('/_tasks/.bureau/claims/2025-10-01-feature.json',
+            JSON.stringify({ owner: 'agent-a', claimed: NOW.toISOString(), expires: '2025-10-15T13:00:00.000Z' }));
+        });
+        await assert.rejects(pending, /claimed by agent-a/, name);
+        vol.rmSync('/_tasks/.bureau/claims/2025-10-01-feature.json');
+      }
+      assert.deepEqual(vol.readdirSync('/_tasks/2025-10-01-feature'), ['001-request.md']);
+      assert.equal(vol.readFileSync('/_tasks/2025-10-01-feature/001-request.md', 'utf8'), 'request');
+    });
+
+    test('releases the task lock when renaming, archiving and restoring a task', async () => {
+      await callTool(bureau, 'claim_task', { session_id: 'agent-a' });
+      await callTool(bureau, 'rename_task', { new_slug: 'renamed', session_id: 'agent-a' });
+      await callTool(bureau, 'archive_task', { task: 'renamed', session_id: 'agent-a' });
+      await callTool(bureau, 'archive_task', { task: 'renamed', restore: true });
+      assert.deepEqual(vol.readdirSync('/_tasks/2025-10-01-renamed'), ['001-request.md']);
+      await callTool(bureau, 'set_task_status', { task: 'renamed', status: 'done' });
+    });
+
+    test('needs a session and a sane lease to claim', async () => {
+      await assert.rejects(callTool(bureau, 'claim_task'), /Claiming a task needs a session/);
+      await assert.rejects(callTool(bureau, 'claim_task', { session_id: 'agent-a', lease_minutes: 0 }), /lease_minutes must be a positive number/);
+    });
+  });
+
+  describe('MCP server', () => {
+    let client;
+
+    beforeEach(async () => {
+      vol.fromJSON({
+        '/_tasks/2025-10-01-feature/001-request.md': '# Request\n\nAdd CSV export\n',
+        '/_tasks/2025-10-02-other/.keep': ''
+      });
+      vol.symlinkSync('2025-10-01-feature', CURRENT_LINK);
+
+      const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+      client = new Client({ name: 'test', version: '1.0.0' });
+      await Promise.all([createServer(bureau).connect(serverTransport), client.connect(clientTransport)]);
+    });
+
+    afterEach(async () => {
+      await client.close();
+    });
+
+    test('lists and calls tools', async () => {
+      const { tools } = await client.listTools();
+      assert.ok(tools.some(tool => tool.name === 'write_report'));
+
+      const result = await client.callTool({ name: 'write_report', arguments: { suffix: 'plan', content: '# Plan\n' } });
+      assert.equal(result.isError, undefined);
+      assert.equal(JSON.parse(result.content[0].text).report_file, '_tasks/2025-10-01-feature/002-plan.md');
+
+      const failed = await client.callTool({ name: 'switch_task', arguments: { task_slug: 'nope' } });
+      assert.equal(failed.isError, true);
+      assert.deepEqual(JSON.parse(failed.content[0].text), { error: 'Task not found: nope' });
+    });
+
+    test('reads resources and reports bad references as invalid params', async () => {
+      const { resources } = await client.listResources();
+      assert.deepEqual(resources.map(resource => resource.uri), [
+        'bureau://current',
+        'bureau://task/2025-10-02-other',
+        'bureau://task/2025-10-01-feature',
+        'bureau://task/2025-10-01-feature/001-request.md'
+      ]);
+
+      const { contents } = await client.readResource({ uri: 'bureau://task/feature/001-request.md' });
+      assert.equal(contents[0].text, '# Request\n\nAdd CSV export\n');
+      await assert.rejects(client.readResource({ uri: 'bureau://task/feature/009-x.md' }), /Report not found: 009-x\.md/);
+      await assert.rejects(client.subscribeResource({ uri: 'bureau://nope' }), error => error.code === ErrorCode.InvalidParams);
+    });
+
+    test('notifies subscribers when reports are written or the current task switches', async () => {
+      const notifications = [];
+      client.setNotificationHandler(ResourceUpdatedNotificationSchema, notification => {
+        notifications.push(notification.params.uri);
+      });
+      client.setNotificationHandler(ResourceListChangedNotificationSchema, () => {
+        notifications.push('list_changed');
+      });
+      await client.subscribeResource({ uri: 'bureau://current' });
+
+      await client.callTool({ name: 'write_report', arguments: { suffix: 'notes', content: 'notes' } });
+      await client.callTool({ name: 'switch_task', arguments: { task_slug: 'other' } });
+      await sleep(10);
+      assert.deepEqual(notifications, ['bureau://current', 'list_changed', 'bureau://current', 'list_changed']);
+    });
+
+    test('serves prompts built from the current task', async () => {
+      const { prompts } = await client.listPrompts();
+      assert.deepEqual(prompts.map(prompt => prompt.name), ['resume_current_task', 'start_task_from_request', 'write_handoff_report']);
+
+      const prompt = await client.getPrompt({ name: 'resume_current_task', arguments: {} });
+      assert.match(prompt.messages[0].content.text, /Current task: feature, status active/);
+      assert.equal(prompt.messages[1].content.resource.uri, 'bureau://task/2025-10-01-feature/001-request.md');
+      await assert.rejects(client.getPrompt({ name: 'start_task_from_request', arguments: {} }), /request is required/);
+    });
+
+    test('gives each connection the session it was created with, or that of its transport', async () => {
+      const connect = async (options, transportSession) => {
+        const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+        serverTransport.sessionId = transportSession;
+        const sessionClient = new Client({ name: 'test', version: '1.0.0' });
+        await Promise.all([createServer(bureau, options).connect(serverTransport), sessionClient.connect(clientTransport)]);
+        return sessionClient;
+      };
+      const agent = await connect({ session: 'agent-a' });
+      const remote = await connect({}, 'connection-1');
+      const currentOf = async connected => JSON.parse((await connected.callTool({ name: 'current_task', arguments: {} })).content[0].text).task_slug;
+
+      await agent.callTool({ name: 'switch_task', arguments: { task_slug: 'other' } });
+      await remote.callTool({ name: 'switch_task', arguments: { task_slug: 'feature' } });
+      assert.equal(await currentOf(agent), 'other');
+      assert.equal(await currentOf(remote), 'feature');
+
+      await remote.close();
+      await agent.close();
+      await sleep(10);
+      assert.deepEqual((await listSessions(project)).map(entry => entry.session_id), ['agent-a']);
+    });
+
+    test('stops listening to the Bureau once the client disconnects', async () => {
+      assert.equal(bureau.listenerCount('resourceUpdated'), 1);
+      await client.close();
+      assert.equal(bureau.listenerCount('resourceUpdated'), 0);
+    });
+  });
+
+  describe('HTTP server', () => {
+    const TOKEN = 's3cret';
+    const headers = { Authorization: `Bearer ${TOKEN}` };
+    let server;
+    let clients;
+
+    const connect = async transport => {
+      const connected = new Client({ name: 'test', version: '1.0.0' });
+      await connected.connect(transport);
+      clients.push(connected);
+      return connected;
+    };
+    const toolResult = async (connected, name, args = {}) => {
+      return JSON.parse((await connected.callTool({ name, arguments: args })).content[0].text);
+    };
+
+    beforeEach(async () => {
+      vol.fromJSON({
+        '/_tasks/2025-10-01-feature/001-request.md': 'request',
+        '/_tasks/2025-10-02-other/.keep': ''
+      });
+      vol.symlinkSync('2025-10-01-feature', CURRENT_LINK);
+      server = await listenHttp(bureau, { port: 0, token: TOKEN });
+      clients = [];
+    });
+
+    afterEach(async () => {
+      for (const connected of clients) {
+        await connected.close();
+      }
+      await server.close();
+    });
+
+    test('serves several Streamable HTTP clients from one Bureau, each in its own session', async () => {
+      const first = await connect(new StreamableHTTPClientTransport(new URL(server.url), { requestInit: { headers } }));
+      const second = await connect(new StreamableHTTPClientTransport(new URL(server.url), { requestInit: { headers } }));
+      const listChanges = [];
+      second.setNotificationHandler(ResourceListChangedNotificationSchema, () => {
+        listChanges.push('list_changed');
+      });
+
+      await toolResult(second, 'switch_task', { task_slug: 'feature' });
+      await toolResult(first, 'switch_task', { task_slug: 'other' });
+      assert.equal((await toolResult(first, 'current_task')).task_slug, 'other');
+      assert.equal((await toolResult(second, 'current_task')).task_slug, 'feature');
+      assert.equal((await listSessions(project)).length, 2);
+
+      listChanges.length = 0;
+      await toolResult(first, 'write_report', { suffix: 'notes', content: 'notes' });
+      await sleep(50);
+      assert.deepEqual(listChanges, ['list_changed']);
+    });
+
+    test('serves more clients than EventEmitter warns about by default', async () => {
+      const warnings = [];
+      const onWarning = warning => warnings.push(warning.name);
+      process.on('warning', onWarning);
+      try {
+        for (let i = 0; i < 12; i++) {
+          await connect(new StreamableHTTPClientTransport(new URL(server.url), { requestInit: { headers } }));
+        }
+        await sleep(10);
+      } finally {
+        process.off('warning', onWarning);
+      }
+      assert.equal(bureau.listenerCount('resourceUpdated'), 12);
+      assert.deepEqual(warnings, []);
+    });
+
+    test('closes Streamable HTTP sessions that their clients left without ending them', async () => {
+      await server.close();
+      server = await listenHttp(bureau, { port: 0, token: TOKEN, idleTimeoutMs: 100 });
+      const staying = await connect(new StreamableHTTPClientTransport(new URL(server.url), { requestInit: { headers } }));
+      const leaving = new Client({ name: 'test', version: '1.0.0' });
+      await leaving.connect(new StreamableHTTPClientTransport(new URL(server.url), { requestInit: { headers } }));
+      await toolResult(staying, 'switch_task', { task_slug: 'other' });
+      await toolResult(leaving, 'switch_task', { task_slug: 'other' });
+      assert.equal(bureau.listenerCount('resourceUpdated'), 2);
+
+      await leaving.close(); // Drops the connection without a DELETE
+      await sleep(250);
+      assert.equal(bureau.listenerCount('resourceUpdated'), 1);
+      assert.equal((await listSessions(project)).length, 1);
+      assert.equal((await toolResult(staying, 'current_task')).task_slug, 'other');
+    });
+
+    test('serves legacy SSE clients', async () => {
+      const sseClient = await connect(new SSEClientTransport(new URL('/sse', server.url), {
+        requestInit: { headers },
+        eventSourceInit: { fetch: (url, init) => fetch(url, { ...init, headers: { ...init?.headers, ...headers } }) }
+      }));
+      assert.equal((await toolResult(sseClient, 'current_task')).task_slug, 'feature');
+    });
+
+    test('turns away requests without the token or from other hosts', async () => {
+      const unauthorized = await fetch(server.url, { method: 'POST' });
+      assert.equal(unauthorized.status, 401);
+      assert.equal(unauthorized.headers.get('www-authenticate'), 'Bearer');
+
+      const status = await new Promise((resolve, reject) => {
+        const { port } = new URL(server.url);
+        http.request({ host: '127.0.0.1', port, path: '/mcp', method: 'POST', headers: { ...headers, Host: `evil.example:${port}` } })
+          .on('response', response => {
+            response.resume();
+            resolve(response.statusCode);
+          })
+          .on('error', reject)
+          .end();
+      });
+      assert.equal(status, 403);
+    });
+  });
+
+  describe('Command line', () => {
+    const terminal = { isTTY: true };
+    let output;
+
+    // Run a command the way index.js does, collecting what it prints
+    async function cli(argv, options = {}) {
+      output = [];
+      mock.method(console, 'log', line => output.push(line));
+      mock.method(console, 'error', line => output.push(line));
+      try {
+        const { flags, positionals } = parseFlags(argv);
+        return await runCli(bureau, positionals, flags, { stdin: terminal, ...options });
+      } finally {
+        mock.restoreAll();
+      }
+    }
+
+    beforeEach(() => {
+      vol.fromJSON({
+        '/_tasks/2025-10-01-feature/001-request.md': 'Add the redis cache',
+        '/_tasks/2025-10-02-other/.keep': ''
+      });
+      vol.symlinkSync('2025-10-01-feature', CURRENT_LINK);
+    });
+
+    test('new starts a task and switch moves back to another one', async () => {
+      assert.equal(await cli(['new', 'fix-login', '--title', 'Fix login', '--tag', 'auth']), 0);
+      assert.equal(output[0], 'fix-login - Fix login [active]');
+      assert.equal(await getCurrentTaskDir(project), '2025-10-15-fix-login');
+      assert.equal((await readTaskMeta(project, '2025-10-15-fix-login')).title, 'Fix login');
+
+      assert.equal(await cli(['switch', 'other']), 0);
+      assert.equal(output[0], 'other [active]');
+      assert.equal(await getCurrentTaskDir(project), '2025-10-02-other');
+
+      assert.equal(await cli(['new', 'Bad Slug']), 1);
+      assert.match(output[0], /^bureau-mcp: /);
+      assert.equal(await cli(['switch']), 1);
+      assert.deepEqual(output, ['bureau-mcp: Usage: bureau-mcp switch <task>']);
+    });
+
+    test('ls and current show the tasks', async () => {
+      assert.equal(await cli(['ls']), 0);
+      assert.deepEqual(output, [
+        '  2025-10-02-other  [active]  0 reports',
+        '* 2025-10-01-feature  [active]  1 report'
+      ]);
+
+      assert.equal(await cli(['current']), 0);
+      assert.deepEqual(output, ['feature [active]', '  _tasks/2025-10-01-feature', '  001-request.md']);
+
+      vol.unlinkSync(CURRENT_LINK);
+      assert.equal(await cli(['current']), 0);
+      assert.deepEqual(output, ['No current task']);
+    });
+
+    test('report writes piped input as the next report', async () => {
+      assert.equal(await cli(['report', 'plan'], { stdin: Readable.from([Buffer.from('# Plan\n')]) }), 0);
+      assert.deepEqual(output, ['_tasks/2025-10-01-feature/002-plan.md']);
+      assert.equal(vol.readFileSync('/_tasks/2025-10-01-feature/002-plan.md', 'utf8'), '# Plan\n');
+    });
+
+    test('report --no-edit only prints the path, even with stdin redirected', async () => {
+      assert.equal(await cli(['report', 'plan', '--no-edit'], { stdin: Readable.from([]) }), 0);
+      assert.deepEqual(output, ['_tasks/2025-10-01-feature/002-plan.md']);
+      assert.equal(vol.readFileSync('/_tasks/2025-10-01-feature/002-plan.md', 'utf8'), '# plan\n');
+
+      assert.equal(await cli(['report']), 1);
+    });
+
+    test('search prints matching lines', async () => {
+      assert.equal(await cli(['search', 'redis']), 0);
+      assert.deepEqual(output, ['_tasks/2025-10-01-feature/001-request.md:1:', '    1: Add the redis cache']);
+
+      assert.equal(await cli(['search']), 1);
+    });
+
+    test('sessions, claim and release act for the --session agent', async () => {
+      assert.equal(await cli(['switch', 'other'], { session: 'agent-a' }), 0);
+      assert.equal(await cli(['sessions'], { session: 'agent-a' }), 0);
+      assert.deepEqual(output, ['  (global)  2025-10-02-other', '* agent-a  2025-10-02-other  2025-10-15T12:00:00.000Z']);
+
+      assert.equal(await cli(['claim', '--lease', '10'], { session: 'agent-a' }), 0);
+      assert.deepEqual(output, ['2025-10-02-other claimed by agent-a until 2025-10-15T12:10:00.000Z']);
+      assert.equal(JSON.parse(vol.readFileSync('/_tasks/.bureau/claims/2025-10-02-other.json', 'utf8')).owner, 'agent-a');
+
+      assert.equal(await cli(['release', 'other'], { session: 'agent-b' }), 1);
+      assert.match(output[0], /pass force: true/);
+      assert.equal(await cli(['release', 'other', '--force'], { session: 'agent-b' }), 0);
+      assert.deepEqual(output, ['2025-10-02-other released']);
+      assert.equal(vol.existsSync('/_tasks/.bureau/claims/2025-10-02-other.json'), false);
+
+      assert.equal(await cli(['claim']), 1);
+    });
+
+    test('prints the raw tool result with --json, and exits with 2 on unknown commands', async () => {
+      assert.equal(await cli(['current', '--json']), 0);
+      assert.equal(JSON.parse(output[0]).reports_dir, '_tasks/2025-10-01-feature');
+
+      assert.equal(await cli(['frobnicate']), 2);
+      assert.match(output[0], /^Unknown command: frobnicate/);
+    });
+  });
 });